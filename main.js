@@ -4,23 +4,34 @@
 let settings; // Global variable to store settings
 /**
  * Retrieves the settings for the Google Sheets Calendar Synchronizer.
+ * @param {Sheet} sheet - The sheet to sync, defaulting to the active sheet. Only used the first time the settings are read in a run, e.g. by triggers that have no active sheet.
  * @see https://developers.google.com/apps-script/reference/spreadsheet/spreadsheet-app#getactivespreadsheet
  * @see https://developers.google.com/apps-script/reference/spreadsheet/sheet#getactivesheet
  * @see https://developers.google.com/apps-script/reference/spreadsheet/range#getvalues
- * @see https://developers.google.com/apps-script/reference/properties/properties-service#getuserproperties
  * @see https://developers.google.com/apps-script/reference/calendar/calendar-app#getcalendarbyid(id)
  */
-function GetSettings() {
+function GetSettings(sheet) {
     if (settings) return settings; // If settings are already defined, return them
     settings = { // Initialize settings object with default values
         dialogWidth: 350, // Width of the dialog in pixels
         dialogHeight: 90, // Height of the dialog in pixels
         spreadSheet: SpreadsheetApp.getActive(), // Get the active spreadsheet
-        sheet: SpreadsheetApp.getActiveSheet(), // Get the active sheet in the spreadsheet
-        events: SpreadsheetApp.getActiveSheet().getRange('A2:L1000').getValues(), // Get the values from the range A2:L1000 in the active sheet, which contains the event data
-        calendarId: PropertiesService.getUserProperties().getProperty('CALID'), // Get the calendar ID from user properties
-        defaultTimeZone: CalendarApp.getCalendarById(PropertiesService.getUserProperties().getProperty('CALID')).getTimeZone(), // Get the default time zone of the calendar
+        sheet: sheet || SpreadsheetApp.getActiveSheet(), // Get the given sheet or the active sheet in the spreadsheet
+        unattended: false, // Whether the run was started by a trigger, with no user interface to show dialogs in
+        calendars: {}, // Cache of the calendars used in this run, keyed by calendar ID
+        changes: {}, // Cache of the calendar changes since the last sync read in this run, keyed by calendar ID
+        logStarted: false, // Whether the changes of this run have replaced the log of the last sync yet
     };
+    settings.calendarId = GetSheetCalendarId(settings.sheet); // Get the ID of the calendar bound to the sheet
+    const calendar = settings.calendarId ? CalendarApp.getCalendarById(settings.calendarId) : null; // Get the calendar bound to the sheet
+    settings.defaultTimeZone = calendar ? calendar.getTimeZone() : null; // Get the default time zone of the calendar
+    settings.spreadSheetTimeZone = settings.spreadSheet.getSpreadsheetTimeZone(); // Get the time zone the spreadsheet shows its dates in
+    settings.scriptTimeZone = Session.getScriptTimeZone(); // Get the time zone of the script, in which CalendarApp takes all-day dates
+    const sheetTimeZone = GetSheetTimeZoneSettings(settings.sheet); // Get the time zone settings of the sheet
+    settings.timeZone = sheetTimeZone.timeZone || settings.spreadSheetTimeZone; // Get the time zone the sheet's times are read in
+    settings.dateFormat = sheetTimeZone.dateFormat || DEFAULT_DATE_FORMAT; // Get the number format of the sheet's date columns
+    settings.columns = GetColumnMap(settings.sheet); // Map the row-1 headers of the sheet to the column schema
+    settings.events = ReadEventRows(settings.sheet, settings.columns); // Read every event row below the headers, up to the last row with data
     return settings; // Return the settings object
 }
 
@@ -33,9 +44,23 @@ function onOpen() {
     const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
     ui.createMenu('Manage Calendar') // Create a new menu in the spreadsheet UI
         .addItem('Import Events', 'FetchCalendarEvents') // Add an item to the menu that Fetchs the Calendar Events
+        .addItem('Generate Events', 'ShowGenerateEvents') // Add an item to the menu that fills free slots with events made from a template
+        .addItem('Preview Changes', 'PreviewChanges') // Add an item to the menu that lists the changes an update would make before applying them
+        .addItem('Validate Rows', 'ValidateSheet') // Add an item to the menu that checks the rows and highlights the invalid cells
         .addItem('Update Calendar', 'CreateOrUpdateEvents') // Add an item to the menu that triggers the function to create or update events in the calendar    
+        .addSubMenu(ui.createMenu('ICS File').addItem('Import', 'ShowIcsImport') // Add a submenu with an item that adds the events of an ICS file to the sheet
+            .addItem('Export', 'ShowIcsExport')) // Add an item to the submenu that exports the rows of the sheet as an ICS file
+        .addItem('RSVP Summary', 'ShowRsvpSummary') // Add an item to the menu that counts the answers of the guests of each event
+        .addItem('Undo Last Sync', 'UndoLastSync') // Add an item to the menu that reverses the calendar changes of the last sync
+        .addItem('Restore Selected', 'RestoreSelected') // Add an item to the menu that re-creates the events selected on the archive sheet
         .addSeparator() // Add a separator in the menu
-        .addSubMenu(ui.createMenu('Settings').addItem('Add Calendar ID', 'ShowAddCalendarId')) // Add a submenu with an item that shows Add Calendar
+        .addSubMenu(ui.createMenu('Settings').addItem('Add Calendar ID', 'ShowAddCalendarId') // Add a submenu with an item that shows Add Calendar
+            .addItem('Register Calendar', 'ShowRegisterCalendar') // Add an item to the submenu that registers a calendar for the Calendar column
+            .addItem('Unregister Calendar', 'ShowUnregisterCalendar') // Add an item to the submenu that removes a registered calendar
+            .addItem('Conflict Policy', 'ShowConflictPolicy') // Add an item to the submenu that sets how sync conflicts are resolved
+            .addItem('Sync Backend', 'ShowSyncBackend') // Add an item to the submenu that chooses how the sync reads and writes the calendar
+            .addItem('Time Zone', 'ShowTimeZoneSettings') // Add an item to the submenu that sets the time zone and date format of the sheet
+            .addItem('Automatic Sync', 'ShowTriggerSettings')) // Add an item to the submenu that installs or removes the sync triggers
         .addItem('Clear Sheet', 'ClearSheet') // Add an item to the menu that clears the sheet
         .addSeparator() // Add a separator in the menu
         .addSubMenu(ui.createMenu('Documentation').addItem('About', 'ShowAbout') // Add a submenu with an item that shows information about the script
@@ -43,261 +68,3311 @@ function onOpen() {
         .addToUi(); // Add the menu to the user interface
 }
 
+/****************************************
+            * COLUMN SCHEMA *
+*****************************************/
+/**
+ * The columns understood by the synchronizer, keyed by the header names in row 1 of the sheet.
+ * Columns can be reordered, hidden or left out (unless required); the importer and the updater both locate them by header.
+ */
+const COLUMNS = [
+    { key: 'id', header: 'ID', required: true }, // The calendar event ID
+    { key: 'title', header: 'Title', required: true }, // The event title
+    { key: 'start', header: 'Start Date', required: true }, // The start date and time of the event
+    { key: 'end', header: 'End Date', required: true }, // The end date and time of the event
+    { key: 'allDay', header: 'All Day' }, // Whether the event is an all-day event
+    { key: 'timeZone', header: 'Time Zone' }, // The IANA time zone the start and end times are read in, e.g. Europe/Paris, empty for the sheet's time zone
+    { key: 'description', header: 'Description' }, // The event description
+    { key: 'color', header: 'Tag / Color' }, // The event color ID (1-11)
+    { key: 'guests', header: 'Guests' }, // Comma-separated list of guest emails or groups of the Groups sheet, each email optionally followed by the guest's status in brackets
+    { key: 'myStatus', header: 'Attending?' }, // The user's own status for the event
+    { key: 'location', header: 'Location' }, // The event location
+    { key: 'calendar', header: 'Calendar' }, // The calendar of the event (registered name or ID), empty for the sheet's own calendar
+    { key: 'recurrence', header: 'Recurrence' }, // An RRULE such as FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10, making the row a whole event series
+    { key: 'seriesId', header: 'Series ID' }, // The ID of the series an imported instance of a recurring event belongs to
+    { key: 'applyTo', header: 'Apply To' }, // Whether changes to an instance row apply to "this" instance (the default) or the whole "series"
+    { key: 'popupReminders', header: 'Popup Reminders' }, // Comma-separated minutes before the event for popup reminders, "none" for no reminders
+    { key: 'emailReminders', header: 'Email Reminders' }, // Comma-separated minutes before the event for email reminders, "none" for no reminders
+    { key: 'visibility', header: 'Visibility' }, // The visibility of the event: default, public, private or confidential
+    { key: 'showAs', header: 'Show As' }, // Whether the event shows the user as busy or free
+    { key: 'guestsCanModify', header: 'Guests Can Modify' }, // Whether the guests can modify the event
+    { key: 'guestsCanInviteOthers', header: 'Guests Can Invite Others' }, // Whether the guests can invite other people
+    { key: 'guestsCanSeeGuests', header: 'Guests Can See Guests' }, // Whether the guests can see the guest list
+    { key: 'meetingLink', header: 'Meeting Link' }, // The video meeting link of the event, or "new" to add a Google Meet link
+    { key: 'sendInvites', header: 'Send Invites?' }, // Whether invites are sent to the guests, or to the newly added guests of an existing event
+    { key: 'removeGuests', header: 'Remove Guests?' }, // Whether the guests of the event that are not listed in the Guests column are removed
+    { key: 'delete', header: 'Delete' }, // Whether the event should be deleted from the calendar
+    { key: 'syncStatus', header: 'Sync Status' }, // The result of the last sync of the row, written by the synchronizer
+    { key: 'syncError', header: 'Sync Error' }, // The error message of the last sync of the row, written by the synchronizer
+    { key: 'lastSynced', header: 'Last Synced' }, // The time the row was last synced, written by the synchronizer
+    { key: 'fingerprint', header: 'Sync Fingerprint', hidden: true }, // The state of the row and the calendar event at the last sync, used to detect which side has changed since
+    { key: 'instanceStart', header: 'Instance Start', hidden: true }, // The start time of a recurring event instance in the calendar, used to find the instance again
+    { key: 'syncedRecurrence', header: 'Synced Recurrence', hidden: true }, // The recurrence of a series row at the last sync, used to detect recurrence changes
+];
+
+/**
+ * Reads the header row of a sheet and maps each known column key to its zero-based column index.
+ * @param {Sheet} sheet - The sheet to read the headers from.
+ * @param {Object[]} [schema] - The columns to look for, defaulting to the event columns (COLUMNS).
+ * @return {Object} An object with the column indexes (`index`), the total number of columns (`width`), the headers not in the schema (`unknown`) and the required headers that were not found (`missing`).
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/sheet#getlastcolumn
+ */
+function GetColumnMap(sheet, schema) {
+    schema = schema || COLUMNS; // Look for the event columns by default
+    const width = sheet.getLastColumn(); // Get the number of columns that contain data
+    const headers = width > 0 ? sheet.getRange(1, 1, 1, width).getValues()[0] : []; // Get the header names from row 1
+    const index = {}; // Initialize the map of column keys to column indexes
+    const unknown = []; // Initialize the list of headers that are not part of the schema
+    headers.forEach((header, i) => { // Iterate through each header in the header row
+        const name = NormalizeHeader(header); // Normalize the header name for comparison
+        if (name == '') return; // Skip empty header cells
+        const column = schema.find(col => NormalizeHeader(col.header) == name); // Find the schema column matching the header
+        if (column && index[column.key] == undefined) index[column.key] = i; // Store the index of the first matching column
+        else unknown.push(String(header).trim()); // Otherwise remember the header as unknown (or duplicated)
+    });
+    const missing = schema.filter(col => col.required && index[col.key] == undefined).map(col => col.header); // Get the required headers that were not found
+    return { index: index, width: width, unknown: unknown, missing: missing }; // Return the column map
+}
+
+/**
+ * Normalizes a header name so that headers can be matched regardless of case and surrounding spaces.
+ */
+function NormalizeHeader(header) {
+    return String(header).trim().replace(/\s+/g, ' ').toLowerCase(); // Trim, collapse the whitespace and lower-case the header
+}
+
+/**
+ * Reads every event row below the header row, up to the last row containing data, into objects keyed by the column schema (COLUMNS unless another schema is given).
+ * Each object also holds the sheet row number it was read from in `row`; the keys of absent columns are left undefined.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/sheet#getlastrow
+ */
+function ReadEventRows(sheet, columns, schema) {
+    const lastRow = sheet.getLastRow(); // Get the last row that contains data
+    if (lastRow < 2 || columns.width == 0) return []; // Return an empty list if there is no data below the headers
+    const values = sheet.getRange(2, 1, lastRow - 1, columns.width).getValues(); // Get the values of all the event rows
+    return values.map((rowValues, i) => { // Convert each row of values to an event object
+        const event = { row: i + 2 }; // Store the sheet row number of the event
+        (schema || COLUMNS).forEach(col => { // Iterate through each column in the schema
+            const index = columns.index[col.key]; // Get the index of the column in the sheet
+            if (index != undefined) event[col.key] = rowValues[index]; // Read the value, leaving it undefined when the column is absent so the calendar's value is kept
+        });
+        return event; // Return the event object
+    });
+}
+
+/**
+ * Converts an event object keyed by the column schema (COLUMNS unless another schema is given) into an array of cell values laid out in the sheet's column order.
+ * Columns that are not part of the schema are left empty.
+ */
+function EventToRow(event, columns, schema) {
+    const row = new Array(columns.width).fill(''); // Initialize an empty row as wide as the sheet
+    (schema || COLUMNS).forEach(col => { // Iterate through each column in the schema
+        const index = columns.index[col.key]; // Get the index of the column in the sheet
+        if (index != undefined && event[col.key] != undefined) row[index] = event[col.key]; // Write the value if the column exists in the sheet
+    });
+    return row; // Return the row of values
+}
+
 /****************************************
             * IMPORT EVENTS *
 *****************************************/
+const IMPORT_PRESETS = { custom: 'Custom dates', thisWeek: 'This week', next30Days: 'Next 30 days', thisQuarter: 'This quarter' }; // The date ranges offered by the import dialog
+const IMPORT_MODES = { replace: 'Replace the rows of the sheet', append: 'Append events that are not in the sheet', merge: 'Merge: update rows by event ID and append the others' }; // The ways imported events are written to the sheet
+
+/**
+ * This function is triggered when the user selects the "Import Events" option from the custom menu. It checks if a calendar ID exists, and if so, it displays a modal dialog for the user to select a date range, filters and an import mode, filled in with the settings of the last import into the sheet.
+ */
+function FetchCalendarEvents() {
+    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema, if not, display an error message and return
+    if (!CheckTimeZones()) return; // Warn the user if the sheet, the script and the calendar use different time zones
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const template = HtmlService.createTemplateFromFile('dateSelect'); // Create an HTML template from the file 'dateSelect'
+    template.current = GetImportSettings(); // Pass the last-used settings of the sheet to the template
+    template.presets = ImportPresetRanges(new Date()); // Pass the date range of each preset to the template
+    template.presetNames = IMPORT_PRESETS; // Pass the names of the presets to the template
+    template.modes = IMPORT_MODES; // Pass the names of the import modes to the template
+    ui.showModalDialog(template.evaluate().setWidth(420).setHeight(440), 'Import Events'); // Show the dialog with the title 'Import Events'
+}
+
+/*
+ * Add events to the sheet
+ ** @param {Object} e - The settings selected in the dialog: the `preset`, `start` and `end` dates, the `search`, `color`, `guest` and `ownedOnly` filters and the import `mode`.
+ */
+function AddEventsToSheet(e) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer  
+    const sheet = settings.sheet; // Get the active sheet in the spreadsheet    
+    const columns = settings.columns; // Get the column map of the active sheet
+    if (!ColumnsAreValid(true)) return; // Check that the sheet has all the required headers, if not, display an error message and return
+    try {   
+        const options = SaveImportSettings(e); // Check the settings selected in the dialog and remember them for the next import
+        const startDate = ParseApiDate(options.start); // Start at midnight of the From date
+        const endDate = ParseApiDate(options.end); // Get the To date
+        endDate.setDate(endDate.getDate() + 1); // End at midnight after the To date, so that its events are included
+        const events = GetCalendarEvents(startDate, endDate).filter(item => MatchesImportFilters(item.calendarEvent, options)); // Get the events within the date range from each calendar of the sheet that match the filters
+        const seriesIds = settings.events.filter(row => String(row.recurrence || '').trim() != '').map(row => String(row.id).trim()); // Get the IDs of the series rows, whose instances are not imported separately
+        const rows = {}; // Initialize the rows of the sheet, keyed by event ID and by the start time of instances
+        if (options.mode != 'replace') settings.events.filter(row => String(row.id).trim() != '').forEach(row => { // Iterate through each row of the sheet with an event ID
+            const id = String(row.id).trim(); // Get the event ID of the row
+            rows[EventKey(id, row.instanceStart)] = rows[EventKey(id, row.instanceStart)] || row.row; // Index the row by its key
+            rows[id] = rows[id] || row.row; // Index the row by its ID alone, as PlanImports does
+        });
+        const data = []; // Initialize an array to hold the event data
+        const merged = []; // Initialize the list of rows updated from the calendar
+        if (events.length > 0) { // Check if there are any events in the specified date range
+            AddMissingColumns(['fingerprint', 'instanceStart']); // Make sure the sheet has the hidden columns used by the two-way sync
+            if (events.some(item => item.calendarEvent.isRecurringEvent())) AddMissingColumns(['seriesId']); // Add the Series ID column if any event is part of a series
+            events.forEach(item => { // Iterate through each event in the events array
+                const event = item.calendarEvent; // Get the calendar event
+                const id = event.getId().split('@')[0]; // Get the ID of the event
+                if (options.mode != 'replace' && seriesIds.includes(id)) return; // Leave the events of series rows to the two-way sync
+                const row = rows[EventKey(id, event.isRecurringEvent() ? event.getStartTime().getTime() : '')] || rows[id]; // Find the row of the event
+                if (row) { // If the event is already in the sheet
+                    if (options.mode == 'merge' && !merged.includes(row)) { // If the rows are merged, and the row was not merged with another instance already
+                        WriteRowValues(row, { fingerprint: MakeFingerprint(ParseEventRow(WritePulledRow(row, event, item.calendarId)), event) }); // Update the row from the calendar and remember the state of both sides
+                        merged.push(row); // Merge each row only once
+                    }
+                    return;
+                }
+                const record = ReadCalendarEvent(event, item.calendarId); // Read the fields of the event
+                record.sendInvites = false; // Placeholder for send invites option
+                record.delete = false; // Placeholder for delete option
+                record.fingerprint = MakeFingerprint(ParseEventRow(record), event); // Remember the state of the event for the next two-way sync
+                data.push(EventToRow(record, columns)); // Push the event data into the array in the sheet's column order
+            });
+        }
+        if (options.mode == 'replace') ClearSheet(); // Clear the existing content in the sheet
+        if (data.length > 0) { // If there are events to add
+            const firstRow = options.mode == 'replace' ? 2 : sheet.getLastRow() + 1; // Write from row 2, or below the last row
+            const numRows = data.length; // Get the number of rows in the data array
+            const numCols = columns.width; // Get the number of columns in the sheet
+            sheet.getRange(firstRow, 1, numRows, numCols).setValues(data); // Set the values in the sheet
+            sheet.getRange(firstRow, columns.index.start + 1, numRows).setNumberFormat(settings.dateFormat); // Set the number format for the start time column
+            sheet.getRange(firstRow, columns.index.end + 1, numRows).setNumberFormat(settings.dateFormat); // Set the number format for the end time column
+        }
+        settings.spreadSheet.toast(`${data.length} event(s) added` + (options.mode == 'merge' ? ` and ${merged.length} row(s) updated.` : '.'), 'Import Events'); // Tell the user what was imported
+    }
+    catch (e) { // Catch any errors that occur during the process
+        DisplayError(EscapeHtml(ErrorMessage(e))); // Display the error message, escaped since it can hold event titles and calendar names
+        return;
+    }
+}
+
+/**
+ * Gets the import settings last used on the active sheet, or the defaults. The dates of a preset are worked out again for today.
+ * @see https://developers.google.com/apps-script/reference/properties/properties-service#getdocumentproperties
+ */
+function GetImportSettings() {
+    const saved = JSON.parse(PropertiesService.getDocumentProperties().getProperty('IMPORT_SETTINGS') || '{}')[GetSettings().sheet.getSheetId()] || {}; // Get the settings saved for the sheet
+    const today = new Date(); // Get today's date
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1); // Get tomorrow's date
+    const current = Object.assign({ preset: 'custom', start: FormatApiDate(today), end: FormatApiDate(tomorrow), search: '', color: '', guest: '', ownedOnly: false, mode: 'replace' }, saved); // Fill in the defaults
+    if (current.preset != 'custom') Object.assign(current, ImportPresetRanges(today)[current.preset]); // Move the dates of a preset to today
+    return current; // Return the settings
+}
+
+/**
+ * Checks the settings selected in the import dialog and saves them for the active sheet, keyed by the sheet ID like the sheet's calendar.
+ * @return {Object} The checked settings.
+ * @throws {Error} If the dates, the color or the mode are not valid.
+ */
+function SaveImportSettings(form) {
+    const options = { // Read the settings of the form
+        preset: IMPORT_PRESETS[form.preset] ? form.preset : 'custom', // The date range preset
+        start: String(form.start || ''), // The From date
+        end: String(form.end || ''), // The To date
+        search: String(form.search || '').trim(), // The text to look for in the title or description
+        color: String(form.color || '').trim(), // The color ID to import, empty for any color
+        guest: String(form.guest || '').trim(), // The guest email to look for
+        ownedOnly: form.ownedOnly === true || form.ownedOnly === 'on' || form.ownedOnly === 'true', // Whether to import only the events the user owns
+        mode: form.mode, // How the events are written to the sheet
+    };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.start) || !/^\d{4}-\d{2}-\d{2}$/.test(options.end)) throw new Error('Please select the From and To dates.'); // Reject missing dates
+    if (ParseApiDate(options.end) < ParseApiDate(options.start)) throw new Error('The To date must not be before the From date.'); // Reject reversed ranges
+    if (options.color != '' && !/^([1-9]|1[01])$/.test(options.color)) throw new Error('The color must be a number from 1 to 11.'); // Reject unknown colors
+    if (!IMPORT_MODES[options.mode]) throw new Error('Please select how the events are added to the sheet.'); // Reject unknown modes
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    const saved = JSON.parse(properties.getProperty('IMPORT_SETTINGS') || '{}'); // Read the settings saved for the sheets
+    saved[GetSettings().sheet.getSheetId()] = options; // Replace the settings of the sheet
+    properties.setProperty('IMPORT_SETTINGS', JSON.stringify(saved)); // Save the settings
+    return options; // Return the checked settings
+}
+
+/**
+ * Works out the dates of each import preset, with both the From and To dates included in the range.
+ * @param {Date} now - The current time.
+ * @return {Object} The `start` and `end` dates ("2025-12-31") of each preset, keyed by preset.
+ */
+function ImportPresetRanges(now) {
+    const day = (offset, month, date) => FormatApiDate(new Date(now.getFullYear(), month == undefined ? now.getMonth() : month, date == undefined ? now.getDate() + offset : date)); // Helper to format a day relative to today, or a day of a month of this year
+    const monday = (now.getDay() + 6) % 7; // Count the days since Monday
+    const quarter = Math.floor(now.getMonth() / 3) * 3; // Get the first month of the quarter
+    return {
+        thisWeek: { start: day(-monday), end: day(6 - monday) }, // From Monday to Sunday of this week
+        next30Days: { start: day(0), end: day(29) }, // From today to 29 days later
+        thisQuarter: { start: day(0, quarter, 1), end: day(0, quarter + 3, 0) }, // From the first to the last day of this quarter
+    };
+}
+
+/**
+ * Checks a calendar event against the filters of the import dialog.
+ * @param {CalendarEvent} calendarEvent - The event to check.
+ * @param {Object} options - The `search`, `color`, `guest` and `ownedOnly` filters; empty filters match every event.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#isownedbyme
+ */
+function MatchesImportFilters(calendarEvent, options) {
+    const search = options.search.toLowerCase(); // Compare the text regardless of case
+    if (search && !(calendarEvent.getTitle() + '\n' + calendarEvent.getDescription()).toLowerCase().includes(search)) return false; // The title and description must contain the text
+    if (options.color && calendarEvent.getColor() != options.color) return false; // The event must have the color
+    if (options.guest && !calendarEvent.getGuestList().some(guest => guest.getEmail().toLowerCase().includes(options.guest.toLowerCase()))) return false; // One of the guests must match the email
+    if (options.ownedOnly && !calendarEvent.isOwnedByMe()) return false; // The user must own the event
+    return true; // The event matches every filter
+}
+
+/****************************************
+            * CREATE & UPDATE EVENTS *
+*****************************************/
+/*
+ * This function iterates through the events data, checks if an event ID exists, and either updates the existing event or creates a new one. It also handles deletion of events based on a flag in the data.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-app
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar
+ * @see https://developers.google.com/apps-script/reference/calendar/event
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/sheet
+ */
+function CreateOrUpdateEvents() {
+    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema before any calendar writes
+    if (!CheckTimeZones()) return; // Warn the user if the sheet, the script and the calendar use different time zones
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const lock = AcquireSyncLock(); // Make sure no other sync is running
+    if (!lock) return; // Stop here if another sync is running
+    try { // Try to run the sync while holding the lock
+        const filteredCsvEv = settings.events.filter(value => value.title != ''); // Filter out empty rows from the events data
+        const plan = PlanSync(filteredCsvEv); // Work out the changes for every row
+        AskConflicts(plan); // Let the user resolve the conflicts if the policy is to ask
+        ApplySync(plan); // Apply the changes to the calendar and the sheet
+    }
+    finally { // Always release the lock, even if the sync failed
+        lock.releaseLock(); // Let the next sync run
+    }
+}
+
+/**
+ * Works out what a sync would do with each row of the sheet, without writing anything to the calendar.
+ * Both "Update Calendar" and "Preview Changes" use this plan, so the preview shows exactly what the sync will do.
+ * The fingerprint stored at the last sync tells which side has changed since: sheet-side changes are pushed, calendar-side changes are pulled, and changes on both sides are resolved with the conflict policy.
+ * Events in the synced date range that are not in the sheet yet are added to the plan to be imported.
+ * @param {Object[]} events - The event rows read from the sheet.
+ * @return {Object[]} One plan entry per row, with the parsed row (`event`), the matching calendar event (`calendarEvent`), the `action` ('create', 'update', 'pull', 'import', 'delete', 'removed', 'conflict', 'unchanged', 'skip' or 'error'), the field `changes` and for errors the error `message`.
+ */
+function PlanSync(events) {
+    const imports = PlanImports(events); // Find the calendar events that are not in the sheet yet first, so that the batch backend reads the date range once and finds the rows' events in memory
+    return PlanRows(events).concat(imports); // Plan the rows and add the calendar events that are not in the sheet yet
+}
+
+/**
+ * Plans the changes of the given rows only, without looking for calendar events that are not in the sheet. See PlanSync.
+ */
+function PlanRows(events) {
+    const policy = GetConflictPolicy(); // Get how conflicts are resolved
+    return events.map(row => { // Plan the change for each row
+        try { // Try to plan the change, so that one bad row does not stop the others
+            const problems = ValidateRow(row); // Check the values of the row before anything is written
+            if (problems.length > 0) return { event: { row: row.row, id: String(row.id).trim(), title: row.title }, calendarEvent: null, action: 'invalid', changes: [], problems: problems, message: FormatProblems(problems) }; // Block the invalid row from the sync
+            const event = ParseEventRow(row); // Convert the row values to the event fields used by the calendar
+            if (!event.delete && IsUnchangedSinceSync(event)) return { event: event, calendarEvent: null, target: null, changes: [], action: 'unchanged', fingerprint: event.fingerprint }; // Skip the calendar lookup if neither side has changed since the last sync
+            const found = event.id != '' ? FindRowEvent(GetCalendar(event.calendarId), event) : null; // Get the existing event from the row's calendar if the row has an event ID
+            const calendarEvent = found ? found.calendarEvent : null; // Get the calendar event the row is compared with
+            const entry = { event: event, calendarEvent: calendarEvent, target: found ? found.target : null, changes: [] }; // Initialize the plan entry of the row, with the event or series the changes are written to
+            if (event.delete) { // If the delete option is set
+                entry.action = calendarEvent ? 'delete' : 'skip'; // Delete the event, or skip the row if the event does not exist in the calendar
+                return entry;
+            }
+
+            const moved = !calendarEvent && event.id != '' ? FindEventInOtherCalendars(event) : null; // Look for the event in the other calendars if the row's calendar was changed
+            if (moved) { // If the event is in another calendar
+                entry.action = 'move'; // Move the event to the row's calendar
+                entry.calendarEvent = moved.calendarEvent; // Keep the event to be removed from its old calendar
+                entry.target = moved.target; // Keep the series to be removed from its old calendar for series rows
+                entry.fromCalendarId = moved.calendarId; // Keep the calendar the event is moved from
+                return entry;
+            }
+
+            const state = ParseFingerprint(event.fingerprint); // Get the state of the row and the event at the last sync
+            const sheetChanged = !state || SheetFingerprint(event) !== state.sheet; // Check if the row has changed since the last sync
+            if (!calendarEvent) { // If the row has no event ID or the event no longer exists
+                if (!state) entry.action = 'create'; // Create a new event if the row was never synced
+                else if (!sheetChanged) entry.action = 'removed'; // Keep the event deleted if it was deleted in the calendar and the row has not changed
+                else ResolveConflict(entry, policy, 'create', 'removed'); // Otherwise the row changed and the event was deleted in the calendar
+                return entry;
+            }
+
+            const linkProblems = MeetingLinkProblems(event, calendarEvent); // Check the typed meeting link against the calendar's link, which cannot be changed
+            if (linkProblems.length > 0) return { event: event, calendarEvent: calendarEvent, action: 'invalid', changes: [], problems: linkProblems, message: FormatProblems(linkProblems) }; // Block the row rather than plan a change that cannot be applied
+            entry.changes = GetEventChanges(calendarEvent, event, entry.target); // Compare the calendar event with the row
+            const calendarChanged = !!state && calendarEvent.getLastUpdated().getTime() !== state.calendar; // Check if the event has changed in the calendar since the last sync
+            if (entry.changes.length == 0) entry.action = 'unchanged'; // Nothing to do if both sides are the same
+            else if (!calendarChanged) entry.action = 'update'; // Push the row to the calendar if only the sheet has changed (or the row was never synced)
+            else if (!sheetChanged) entry.action = 'pull'; // Pull the event into the row if only the calendar has changed
+            else ResolveConflict(entry, policy, 'update', 'pull'); // Otherwise both sides have changed
+            return entry;
+        }
+        catch (e) { // Catch any errors that occur while reading the row or the calendar event
+            return { event: { row: row.row, id: String(row.id).trim(), title: row.title }, calendarEvent: null, action: 'error', changes: [], message: ErrorMessage(e) }; // Record the error against the row
+        }
+    });
+}
+
+/**
+ * Checks, without reading the calendar event, that neither a row nor its event have changed since the last sync. This is only known when the backend can list the changed events (see GetCalendarChanges).
+ * Rows of sheets with a Calendar column are always looked up, since the Calendar column is not part of the fingerprint and changing it moves the event.
+ */
+function IsUnchangedSinceSync(event) {
+    if (event.id == '' || GetSettings().columns.index.calendar != undefined) return false; // New rows and rows that can move between calendars are looked up
+    const state = ParseFingerprint(event.fingerprint); // Get the state of the row and the event at the last sync
+    if (!state || SheetFingerprint(event) !== state.sheet) return false; // The row was never synced or has changed since
+    const changes = GetCalendarChanges(event.calendarId); // Get the events changed in the calendar since the last sync
+    return !!changes && !changes.ids.includes(event.id); // The event is unchanged if the backend knows it was not changed
+}
+
+/**
+ * Finds the calendar event of a row: the first instance and the series for a series row (one with a recurrence), the instance for an imported instance row, or the event itself.
+ * @return {Object} The `calendarEvent` the row is compared with and the `target` its changes are written to, or null if the event is not in the calendar.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar#geteventseriesbyid(String)
+ */
+function FindRowEvent(calendar, event) {
+    if (event.recurrence) { // If the row is a whole series
+        const series = calendar.getEventSeriesById(event.id); // Get the series by its ID
+        const first = series ? calendar.getEventById(event.id) : null; // Get the first instance of the series to compare the row with
+        return first ? { calendarEvent: first, target: series } : null; // Write changes to the whole series
+    }
+    const calendarEvent = event.seriesId && event.instanceStart ? FindEventInstance(calendar, event.id, event.instanceStart) : calendar.getEventById(event.id); // Get the instance of a series row, or the event
+    if (!calendarEvent) return null; // The event is not in the calendar
+    return { calendarEvent: calendarEvent, target: event.applyTo == 'series' && calendarEvent.isRecurringEvent() ? calendarEvent.getEventSeries() : calendarEvent }; // Write changes to the instance, or to its series if the row asks for it
+}
+
+/**
+ * Finds one instance of a recurring event by the ID of its series and the instance's start time.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar#getevents(Date,Date)
+ */
+function FindEventInstance(calendar, id, startTime) {
+    const start = new Date(startTime); // Get the start time of the instance
+    const instances = calendar.getEvents(start, new Date(startTime + 60 * 1000)); // Get the events around the start time
+    return instances.find(instance => instance.getId().split('@')[0] == id && instance.getStartTime().getTime() == startTime) || null; // Return the instance of the series starting at that time
+}
+
+/**
+ * Gets the key that identifies a row among the calendar events: the event ID, plus the start time for instances of a recurring event, which all share the series ID.
+ */
+function EventKey(id, instanceStart) {
+    return instanceStart ? id + '@' + Number(instanceStart) : id; // Add the start time for instances
+}
+
+/**
+ * Gets the date range of the given rows, from the earliest start to the latest end, which is the range the two-way sync imports events from.
+ * @return {Object} The `start` and `end` of the range, or null if no row has a date.
+ */
+function SheetDateRange(events) {
+    const times = []; // Initialize the list of start and end timestamps of the rows
+    events.forEach(row => [row.start, row.end].forEach(time => { if (time instanceof Date) times.push(time.getTime()); })); // Collect the valid start and end times
+    if (times.length == 0) return null; // The rows have no dates
+    return { start: new Date(Math.min(...times)), end: new Date(Math.max(...times)) }; // Return the range of the rows
+}
+
+/**
+ * Lists the calendar events within the date range of the sheet that are not in the sheet yet, so that events added in the calendar are pulled in by the two-way sync.
+ */
+function PlanImports(events) {
+    const range = SheetDateRange(events); // Get the date range of the sheet
+    if (!range) return []; // Nothing to import if the sheet has no dated rows
+    const keys = events.map(row => EventKey(String(row.id).trim(), row.instanceStart)); // Get the keys of the events already in the sheet
+    const seriesIds = events.filter(row => String(row.recurrence || '').trim() != '').map(row => String(row.id).trim()); // Get the IDs of the series rows, whose instances are not imported separately
+    const startDate = range.start, endDate = range.end; // Get the start and end of the range
+    const calendarEvents = GetChangedCalendarEvents(startDate, endDate) || GetCalendarEvents(startDate, endDate); // Only the changed events can be new to the sheet when the backend knows them, otherwise get every event within the date range from each calendar of the sheet
+    return calendarEvents.filter(item => { // Keep the events that are not in the sheet
+        const id = item.calendarEvent.getId().split('@')[0]; // Get the ID of the event
+        if (seriesIds.includes(id) || keys.includes(id)) return false; // Skip the events of series rows, and instances already in the sheet by ID alone
+        return !item.calendarEvent.isRecurringEvent() || !keys.includes(EventKey(id, item.calendarEvent.getStartTime().getTime())); // Skip instances already in the sheet
+    }).map(item => { // Iterate through each event that is not in the sheet
+        const record = ReadCalendarEvent(item.calendarEvent, item.calendarId); // Read the fields of the event
+        const times = EventTimes(item.calendarEvent); // Get the times of the event, as ParseEventRow reads them
+        return { event: { id: record.id, title: record.title, start: times.start, end: times.end, allDay: record.allDay, calendarId: item.calendarId }, calendarEvent: item.calendarEvent, action: 'import', changes: [] }; // Import the event into a new row
+    });
+}
+
+/**
+ * Applies a sync plan to the calendar. Each row is applied on its own, so an error only fails that row; the result of every row is written to its status columns and summarised in a dialog at the end of the run.
+ * @param {Object[]} plan - The plan returned by PlanSync.
+ */
+function ApplySync(plan) {
+    ApplyPlan(plan); // Apply each planned change
+    WriteSyncResults(plan); // Write the status of every row to the sheet
+    GetBackend().saveSyncState(); // Remember that the calendar changes read for this sync have been synced
+    ShowSyncSummary(plan); // Tell the user what happened
+}
+
+/**
+ * Applies each entry of a sync plan and records its `status`, `message` and new `fingerprint` on the entry, without writing them to the sheet.
+ * Deleted events are saved to the archive sheet, and the changes made to the calendar are logged so that Undo Last Sync can reverse them.
+ */
+function ApplyPlan(plan) {
+    plan.forEach(entry => { // Iterate through each planned change
+        try { // Try to apply the change
+            switch (entry.action) { // Apply the change based on the planned action
+                case 'delete': // If the event is marked for deletion
+                    entry.snapshot = SnapshotEvent(entry.calendarEvent, entry.event); // Keep every field of the event for the archive
+                    ArchiveDeletedEvent(entry); // Save the event to the archive sheet before it is deleted
+                    DeleteEvent(entry.target || entry.calendarEvent); // Call the DeleteEvent function to delete the event, or the whole series
+                    entry.status = 'deleted'; // Record that the event was deleted
+                    break;
+                case 'skip': // If the event is marked for deletion but is no longer in the calendar
+                    entry.status = 'deleted'; // Record that the event is deleted
+                    entry.message = 'The event was already removed from the calendar.'; // Explain why nothing was done
+                    break;
+                case 'update': // If the event exists and has changed
+                    entry.snapshot = SnapshotEvent(entry.calendarEvent, entry.event); // Keep the fields of the event before the change, to undo it
+                    UpdateEvent(entry.target || entry.calendarEvent, entry.changes); // Call the UpdateEvent function to update the existing event
+                    entry.status = 'updated'; // Record that the event was updated
+                    break;
+                case 'create': // If the event does not exist yet
+                    entry.calendarEvent = CreateEvent(entry.event); // Call the CreateEvent function to create a new event
+                    entry.event.id = entry.calendarEvent.getId().split('@')[0]; // Keep the ID of the new event for the sheet
+                    entry.status = 'created'; // Record that the event was created
+                    break;
+                case 'move': { // If the row's calendar was changed
+                    const oldEvent = entry.calendarEvent; // Get the event in its old calendar
+                    entry.snapshot = SnapshotEvent(oldEvent, Object.assign({}, entry.event, { calendarId: entry.fromCalendarId })); // Keep every field of the old event, to undo the move
+                    let optionError = null; // The error of an option the new event could not be given
+                    try { // Try to create the event in the row's calendar
+                        entry.calendarEvent = CreateEvent(entry.event); // Create the event in the row's calendar
+                    }
+                    catch (e) { // Catch the errors of the creation
+                        if (!e.calendarEvent) throw e; // Keep the old event if nothing was created
+                        entry.calendarEvent = e.calendarEvent; // Keep the created event, so the move is finished before the error is reported
+                        optionError = e; // Report the error once the old event is removed
+                    }
+                    entry.event.id = entry.calendarEvent.getId().split('@')[0]; // Keep the ID of the new event for the sheet
+                    DeleteEvent(entry.target || oldEvent); // Remove the event, or the whole series, from its old calendar
+                    entry.previousEvent = entry.target || oldEvent; // Keep the old event, in case the backend fails to delete it later
+                    entry.status = 'updated'; // Record that the event was updated
+                    entry.message = 'Moved from calendar ' + (CalendarLabel(entry.fromCalendarId) || entry.fromCalendarId) + '.'; // Explain why the event ID changed
+                    if (optionError) throw optionError; // Report the option that failed
+                    break;
+                }
+                case 'pull': // If the event has changed in the calendar
+                    entry.event = ParseEventRow(WritePulledRow(entry.event.row, entry.calendarEvent, entry.event.calendarId)); // Write the calendar event into the row
+                    entry.status = 'pulled'; // Record that the row was updated from the calendar
+                    break;
+                case 'import': // If the event is in the calendar but not in the sheet
+                    entry.event = ParseEventRow(WritePulledRow(null, entry.calendarEvent, entry.event.calendarId)); // Append the calendar event to the sheet
+                    entry.status = 'imported'; // Record that the event was imported
+                    break;
+                case 'removed': // If the event was deleted in the calendar
+                    entry.status = 'deleted'; // Record that the event is deleted
+                    entry.message = 'The event was deleted in the calendar.'; // Explain why the row was not synced
+                    break;
+                case 'conflict': // If both sides have changed and the conflict was not resolved
+                    entry.status = 'conflict'; // Flag the row as a conflict
+                    entry.message = 'Changed in both the sheet and the calendar since the last sync (' + entry.changes.map(change => change.field).join(', ') + '). Choose a conflict policy in Settings or edit the row, then sync again.'; // Explain how to resolve the conflict
+                    break;
+                case 'unchanged': // If the event is already up to date
+                    entry.status = 'unchanged'; // Record that nothing needed to change
+                    break;
+                case 'error': // If the row could not be planned
+                    entry.status = 'error'; // Record the error found while planning
+                    break;
+                case 'invalid': // If the row failed validation
+                    entry.status = 'invalid'; // Record that the row was not synced
+                    break;
+            }
+        }
+        catch (e) { // Catch any errors that occur while writing to the calendar
+            if (e.calendarEvent && ['create', 'move'].includes(entry.action)) { // If the event was created but one of its options failed
+                entry.calendarEvent = e.calendarEvent; // Keep the created event
+                entry.event.id = e.calendarEvent.getId().split('@')[0]; // Keep the ID of the new event for the sheet
+            }
+            entry.status = 'error'; // Record that the row failed
+            entry.message = ErrorMessage(e); // Keep the error message for the sheet and the summary
+        }
+    });
+
+    GetBackend().flush().forEach(failure => { // Send the changes the backend has kept to send in batches, and iterate through each change that failed
+        plan.filter(entry => [entry.calendarEvent, entry.target, entry.previousEvent].includes(failure.calendarEvent)).forEach(entry => { // Find the rows of the failed change
+            entry.status = 'error'; // Record that the row failed
+            entry.message = failure.message; // Keep the error message for the sheet and the summary
+        });
+    });
+    UnarchiveFailedDeletes(plan); // Remove the archive rows of the events that are still in the calendar
+
+    plan.forEach(entry => { // Iterate through each applied change
+        if (['created', 'updated', 'pulled', 'imported', 'unchanged'].includes(entry.status)) { // If both sides are now in sync
+            if (entry.calendarEvent) entry.fingerprint = MakeFingerprint(entry.event, entry.calendarEvent); // Remember the state of both sides for the next sync, keeping the planned fingerprint of rows that were not looked up
+        }
+        else if (entry.status == 'deleted' && entry.action == 'delete') { // If the event was deleted from the sheet
+            entry.fingerprint = ''; // Forget the state of the deleted event
+        }
+    });
+    LogSyncChanges(plan); // Remember the changes, so that the sync can be undone
+}
+
+/**
+ * Writes the result of a sync to the sheet: the ID of created events, and the status, error message and sync time of every processed row.
+ * The status columns are added to the header row if the sheet does not have them yet.
+ */
+function WriteSyncResults(plan) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.sheet; // Get the active sheet in the spreadsheet
+    AddMissingColumns(['syncStatus', 'syncError', 'lastSynced', 'fingerprint']); // Make sure the sheet has the status columns
+    if (plan.some(entry => entry.event.seriesId)) AddMissingColumns(['instanceStart']); // Make sure the sheet can remember where instances of a series start
+    if (plan.some(entry => entry.event.recurrence)) AddMissingColumns(['syncedRecurrence']); // Make sure the sheet can remember the recurrence of series rows
+    const columns = settings.columns; // Get the column map of the active sheet
+    const lastRow = sheet.getLastRow(); // Get the last row that contains data
+    if (plan.length == 0 || lastRow < 2) return; // Nothing to write if no rows were processed
+    const now = new Date(); // Get the time of the sync
+
+    const write = (key, valueOf) => { // Helper to update one column for every processed row in a single call
+        if (columns.index[key] == undefined) return; // Skip columns the sheet does not have
+        const range = sheet.getRange(2, columns.index[key] + 1, lastRow - 1, 1); // Get the range of the column below the header
+        const values = range.getValues(); // Get the current values of the column
+        plan.forEach(entry => { // Iterate through each processed row
+            if (!entry.event.row) return; // Skip calendar events that could not be added to the sheet
+            const value = valueOf(entry); // Get the new value of the row
+            if (value !== undefined) values[entry.event.row - 2][0] = value; // Replace the value, unless there is nothing to write
+        });
+        range.setValues(values); // Write the column back to the sheet
+    };
+    write('id', entry => entry.event.id); // Write the event IDs, including those of newly created events
+    write('syncStatus', entry => entry.status); // Write the status of each row
+    write('syncError', entry => entry.message || ''); // Write the error message of each row, clearing old messages
+    write('lastSynced', () => DateToCell(now, settings.timeZone)); // Write the time of the sync, as a clock time in the sheet's time zone
+    write('fingerprint', entry => entry.fingerprint); // Write the state of both sides, keeping the old state of rows that are not in sync
+    write('instanceStart', entry => entry.fingerprint && entry.calendarEvent && entry.event.seriesId && !entry.event.recurrence ? entry.calendarEvent.getStartTime().getTime() : undefined); // Write the current start time of synced instances, which may have moved
+    write('meetingLink', entry => entry.fingerprint && entry.event.meetingLink ? entry.event.meetingLink : undefined); // Write the meeting links added to synced events
+    write('syncedRecurrence', entry => entry.fingerprint && entry.event.recurrence ? entry.event.recurrence : undefined); // Write the recurrence of synced series rows
+    sheet.getRange(2, columns.index.lastSynced + 1, lastRow - 1, 1).setNumberFormat(settings.dateFormat); // Format the sync time column
+    MarkInvalidCells(plan); // Highlight the cells of the invalid rows
+}
+
+/**
+ * Appends the headers of the given schema columns to row 1 if the sheet does not have them yet, and updates the column map in the settings.
+ */
+function AddMissingColumns(keys) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const columns = settings.columns; // Get the column map of the active sheet
+    keys.filter(key => columns.index[key] == undefined).forEach(key => { // Iterate through each column that is missing from the sheet
+        const column = COLUMNS.find(col => col.key == key); // Find the column in the schema
+        settings.sheet.getRange(1, columns.width + 1).setValue(column.header); // Write the header after the last column
+        if (column.hidden) settings.sheet.hideColumns(columns.width + 1); // Hide the columns that are only used by the synchronizer
+        columns.index[key] = columns.width; // Store the index of the new column
+        columns.width++; // Count the new column
+    });
+}
+
+/**
+ * Displays a summary of a sync with the number of rows per status and a link to each row that failed.
+ * @see https://developers.google.com/apps-script/guides/html/communication
+ */
+function ShowSyncSummary(plan) {
+    const count = status => plan.filter(entry => entry.status == status).length; // Helper to count the rows with a status
+    const errors = plan.filter(entry => ['error', 'invalid', 'conflict'].includes(entry.status)); // Get the rows that failed, are invalid or have a conflict
+    const sheetName = GetSettings().sheet.getName(); // Get the name of the synced sheet for the row links
+    let html = `<div style="font-family: 'Poppins';"><p>Created: ${count('created')}<br>Updated: ${count('updated')}<br>Pulled from calendar: ${count('pulled')}<br>Imported: ${count('imported')}<br>Unchanged: ${count('unchanged')}<br>Deleted: ${count('deleted')}<br>Conflicts: ${count('conflict')}<br>Invalid: ${count('invalid')}<br>Errors: ${count('error')}</p>`; // List the number of rows per status
+    if (errors.length > 0) { // If any row failed, is invalid or has a conflict
+        html += '<p>The following rows could not be synced:</p><ul>' + errors.map(entry => `<li><a href="#" onclick="google.script.run.GoToRow(${EscapeHtml(JSON.stringify(sheetName))}, ${entry.event.row}); return false;">Row ${entry.event.row}</a>: ${EscapeHtml(entry.message)}</li>`).join('') + '</ul>'; // Link to each failing row with its error message
+    }
+    html += '</div>'; // Close the summary
+    const htmlOutput = HtmlService.createHtmlOutput(html).setWidth(400).setHeight(errors.length > 0 ? 360 : 220); // Create an HTML output with the summary
+    SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Sync Summary'); // Show the dialog with the summary
+}
+
+/**
+ * Converts a row read from the sheet into the event fields used by the calendar.
+ * Times are read in the row's time zone, or the sheet's (see RowTimeZone). All-day events are rounded to whole days, and an all-day event that ends on the day it starts is moved to end on the next day.
+ * Rows are checked by ValidateRow first, so the values are of the right types.
+ */
+function ParseEventRow(row) {
+    const isAllDay = ToBoolean(row.allDay); // Get the all-day event flag from the All Day column of the event data
+    const timeZone = RowTimeZone(row); // Get the time zone the times of the row are read in
+    let start = isAllDay ? CellToDay(row.start) : CellToDate(row.start, timeZone); // Read the start as a date or an exact time, without modifying the row values
+    let end = isAllDay ? CellToDay(row.end) : CellToDate(row.end, timeZone); // Read the end as a date or an exact time, without modifying the row values
+    if (!(end > start)) { // If the end time is not after the start time
+        end = new Date(start); // Create a new date object for the next day
+        end.setDate(end.getDate() + 1); // Increment the next day by one day
+    }
+
+    let myStatus; // Initialize the myStatus variable to store the user's status
+    switch (String(row.myStatus).toUpperCase()) { // Determine the user's status based on the string value
+        case "OWNER": // If the status is OWNER, set myStatus to CalendarApp.GuestStatus.OWNER
+            myStatus = CalendarApp.GuestStatus.OWNER; // Set the status to OWNER
+            break;
+        case "INVITED": // If the status is INVITED, set myStatus to CalendarApp.GuestStatus.INVITED
+            myStatus = CalendarApp.GuestStatus.INVITED; // Set the status to INVITED
+            break;
+        case "YES": // If the status is YES, set myStatus to CalendarApp.GuestStatus.YES
+            myStatus = CalendarApp.GuestStatus.YES; // Set the status to YES
+            break;
+        case "NO": // If the status is NO, set myStatus to CalendarApp.GuestStatus.NO
+            myStatus = CalendarApp.GuestStatus.NO; // Set the status to NO
+            break;
+        case "MAYBE": // If the status is MAYBE, set myStatus to CalendarApp.GuestStatus.MAYBE
+            myStatus = CalendarApp.GuestStatus.MAYBE; // Set the status to MAYBE
+            break;
+    }
+
+    return {
+        row: row.row, // The sheet row number of the event
+        id: String(row.id).trim(), // The event ID from the ID column
+        title: row.title, // The event subject from the Title column
+        start: start, // The start time of the event
+        end: end, // The end time of the event
+        allDay: isAllDay, // Whether the event is an all-day event
+        timeZone: row.timeZone == undefined ? '' : String(row.timeZone).trim(), // The time zone from the Time Zone column, empty for the sheet's time zone
+        description: row.description == undefined ? null : row.description, // The description from the Description column, null to keep the calendar's description when the column is absent
+        color: row.color > 0 ? String(Math.trunc(row.color)) : '', // The color ID from the Tag / Color column, empty to keep the calendar's color
+        guests: ExpandGuests(row.guests), // The guest emails from the Guests column, without their statuses and with the groups replaced by their members
+        myStatus: myStatus, // The user's status from the Attending? column
+        location: row.location == undefined ? null : row.location, // The location from the Location column, null to keep the calendar's location when the column is absent
+        popupReminders: ParseReminders(row.popupReminders, 'Popup Reminders'), // The popup reminders from the Popup Reminders column, null to keep the calendar's reminders
+        emailReminders: ParseReminders(row.emailReminders, 'Email Reminders'), // The email reminders from the Email Reminders column, null to keep the calendar's reminders
+        visibility: ParseChoice(row.visibility, EVENT_VISIBILITIES, 'Visibility'), // The visibility from the Visibility column, empty to keep the calendar's visibility
+        showAs: ParseChoice(row.showAs, EVENT_SHOW_AS, 'Show As'), // The transparency from the Show As column, empty to keep the calendar's transparency
+        guestsCanModify: ToOptionalBoolean(row.guestsCanModify), // The guest permission from the Guests Can Modify column, null to keep the calendar's setting
+        guestsCanInviteOthers: ToOptionalBoolean(row.guestsCanInviteOthers), // The guest permission from the Guests Can Invite Others column, null to keep the calendar's setting
+        guestsCanSeeGuests: ToOptionalBoolean(row.guestsCanSeeGuests), // The guest permission from the Guests Can See Guests column, null to keep the calendar's setting
+        meetingLink: row.meetingLink == undefined ? '' : String(row.meetingLink).trim(), // The meeting link from the Meeting Link column, empty to keep the calendar's link
+        sendInvites: ToBoolean(row.sendInvites), // The send invites option from the Send Invites? column
+        removeGuests: ToBoolean(row.removeGuests), // The remove guests option from the Remove Guests? column
+        delete: ToBoolean(row.delete), // The delete option from the Delete column
+        calendarId: ResolveCalendarId(row.calendar), // The ID of the calendar from the Calendar column, or the sheet's calendar
+        recurrence: NormalizeRRule(row.recurrence), // The recurrence rule from the Recurrence column, empty for single events
+        seriesId: row.seriesId == undefined ? '' : String(row.seriesId).trim(), // The series ID of an imported instance from the Series ID column
+        applyTo: /^\s*series\s*$/i.test(row.applyTo) ? 'series' : 'this', // Whether changes apply to the instance or the whole series, from the Apply To column
+        instanceStart: Number(row.instanceStart) || 0, // The start time of the instance in the calendar
+        syncedRecurrence: row.syncedRecurrence == undefined ? '' : String(row.syncedRecurrence), // The recurrence of the row at the last sync
+        fingerprint: row.fingerprint == undefined ? '' : String(row.fingerprint), // The state of the row and the event at the last sync
+    };
+}
+
+/**
+ * Deletes an event, or a whole event series, from the calendar.
+ */
+function DeleteEvent(calendarEvent) {
+    if (calendarEvent.deleteEventSeries) calendarEvent.deleteEventSeries(); // Delete the whole series
+    else calendarEvent.deleteEvent(); // Delete the event from the calendar
+}
+
+/**
+ * Compares a calendar event with a row of the sheet and lists the fields that differ.
+ * Each change holds the field name, the old and new values (for display) and an `apply` function that writes the new value to the calendar.
+ * @param {CalendarEvent} calendarEvent - The event the row is compared with.
+ * @param {Object} event - The row parsed by ParseEventRow.
+ * @param {CalendarEvent|CalendarEventSeries} target - Where the changes are written, e.g. the whole series of an instance; defaults to the compared event.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event-series
+ */
+function GetEventChanges(calendarEvent, event, target) {
+    target = target || calendarEvent; // Write the changes to the compared event by default
+    const isSeries = target !== calendarEvent; // Check if the changes are written to a whole series
+    const changes = []; // Initialize the list of changes
+    const addChange = (field, oldValue, newValue, apply) => changes.push({ field: field, oldValue: oldValue, newValue: newValue, apply: apply }); // Helper to add a change to the list
+
+    if (calendarEvent.getTitle() !== event.title) { // If the event title has changed
+        addChange('Title', calendarEvent.getTitle(), event.title, () => target.setTitle(event.title)); // Update the event title
+    }
+
+    const times = EventTimes(calendarEvent); // Get the times of the calendar event, with the dates of all-day events as the sheet reads them
+    const oldStart = times.start; // Get the start time of the calendar event
+    const oldEnd = times.end; // Get the end time of the calendar event
+    const timeChanged = calendarEvent.isAllDayEvent() !== event.allDay || oldStart.getTime() !== event.start.getTime() || oldEnd.getTime() !== event.end.getTime(); // Check if the time or the all-day flag has changed
+    if (timeChanged) { // If the time or the all-day flag has changed
+        addChange('Time', FormatTimeRange(oldStart, oldEnd, calendarEvent.isAllDayEvent()), FormatTimeRange(event.start, event.end, event.allDay), () => { // Update the event time
+            if (isSeries) { // If the change is written to the whole series
+                SetSeriesRecurrence(target, event); // The time of a series is set together with its recurrence
+            }
+            else if (event.allDay) { // If the event is an all-day event
+                if (event.end.getTime() - event.start.getTime() > 24 * 60 * 60 * 1000) { // If the event spans more than one day
+                    calendarEvent.setAllDayDates(event.start, event.end); // Set the all-day dates for the event
+                }
+                else { // If the event is on a single day
+                    calendarEvent.setAllDayDate(event.start); // Set the all-day date for the event
+                }
+            } else { // If the event is not an all-day event
+                calendarEvent.setTime(event.start, event.end); // Set the start and end time for the event
+            }
+        });
+    }
+
+    if (isSeries && event.recurrence && event.recurrence !== event.syncedRecurrence) { // If the recurrence of a series row has changed
+        addChange('Recurrence', event.syncedRecurrence, event.recurrence, () => { if (!timeChanged) SetSeriesRecurrence(target, event); }); // Update the recurrence, unless the time change already does
+    }
+
+    if (event.description !== null && calendarEvent.getDescription() !== event.description) { // If the sheet has a description and it has changed
+        addChange('Description', calendarEvent.getDescription(), event.description, () => target.setDescription(event.description)); // Update the event description
+    }
+
+    if (event.color !== '' && calendarEvent.getColor() !== event.color) { // If a color is set in the sheet and it has changed
+        addChange('Color', calendarEvent.getColor(), event.color, () => target.setColor(event.color)); // Update the event color
+    }
+
+    if (event.guests.length > 0 || event.removeGuests) { // If there are guests listed in the sheet, or the guests that are not listed are removed
+        const oldGuests = calendarEvent.getGuestList().map(guest => guest.getEmail()); // Get the emails of the guests already invited to the event
+        const isListed = (list, email) => list.some(other => other.toLowerCase() == email.toLowerCase()); // Helper to check if an email is in a list, whatever its case
+        const added = event.guests.filter(guest => !isListed(oldGuests, guest)); // Get the guests that are not invited yet
+        const removed = event.removeGuests ? oldGuests.filter(guest => !isListed(event.guests, guest)) : []; // Get the guests that are no longer listed in the sheet, only if the row asks to remove them
+        if (added.length > 0 || removed.length > 0) { // If the guest list has changed
+            addChange('Guests', oldGuests.join(', '), oldGuests.filter(guest => !removed.includes(guest)).concat(added).join(', '), () => { // Update the guest list
+                if (event.sendInvites && added.length > 0) InviteGuests(event, target, added); // Add the new guests and email them an invitation, without notifying the guests already invited
+                else added.forEach(guest => target.addGuest(guest)); // Or add the new guests without an invitation
+                removed.forEach(guest => target.removeGuest(guest)); // Remove the guests that are no longer listed
+            });
+        }
+    }
+
+    if (event.myStatus && calendarEvent.getMyStatus() !== event.myStatus) { // If the user's status has changed
+        addChange('Status', String(calendarEvent.getMyStatus()), String(event.myStatus), () => calendarEvent.setMyStatus(event.myStatus)); // Update the user's status, which is always set on the instance
+    }
+
+    if (event.location !== null && calendarEvent.getLocation() !== event.location) { // If the sheet has a location and it has changed
+        addChange('Location', calendarEvent.getLocation(), event.location, () => target.setLocation(event.location)); // Update the event location
+    }
+
+    return changes.concat(GetOptionChanges(calendarEvent, event, target)); // Return the list of changes, including the event options
+}
+
+/**
+ * Updates an existing event in the calendar by applying the changes found by GetEventChanges.
+ */
+function UpdateEvent(calendarEvent, changes) {
+    changes.forEach(change => change.apply()); // Apply each change to the calendar event
+}
+
+/**
+ * Creates a new event in the calendar.
+ */
+function CreateEvent(event) {
+    const calendar = GetCalendar(event.calendarId); // Get the calendar of the event by its ID
+
+    let options = { // Options for the event
+        description: event.description == null ? '' : event.description, // Set the event description
+        location: event.location == null ? '' : event.location, // Set the event location
+        guests: event.guests.join(','), // Set the event guests as a comma-separated string
+        sendInvites: event.sendInvites // Set whether to send invites for the event
+    };
+
+    let calendarEvent; // Initialize the event variable
+    if (event.recurrence) { // If the row is a recurring event
+        const recurrence = GetBackend().newRecurrence(event.recurrence); // Build the recurrence from the RRULE
+        if (event.allDay) calendarEvent = calendar.createAllDayEventSeries(event.title, event.start, recurrence, options); // Create an all-day event series in the calendar
+        else calendarEvent = calendar.createEventSeries(event.title, event.start, event.end, recurrence, options); // Create an event series in the calendar
+    }
+    else if (event.allDay) { // If the event is an all-day event
+        calendarEvent = calendar.createAllDayEvent(event.title, event.start, event.end, options); // Create an all-day event in the calendar
+    }
+    else { // If the event is not an all-day event
+        calendarEvent = calendar.createEvent(event.title, event.start, event.end, options); // Create a regular event in the calendar
+    }
+    try { // Try to set the options, keeping the new event if one of them fails
+        calendarEvent.setColor(event.color || '8'); // Set the color of the event, defaulting to graphite
+        UpdateEvent(calendarEvent, GetOptionChanges(calendarEvent, event, calendarEvent)); // Set the options the row asks for, such as reminders and visibility
+    }
+    catch (e) { // Catch the errors of the options
+        e.calendarEvent = calendarEvent; // Attach the created event, so its ID is still written to the row and the next sync does not create it again
+        throw e; // Report the error
+    }
+    return calendarEvent; // Return the created event
+}
+
+/****************************************
+            * EVENT OPTIONS *
+*****************************************/
+const EVENT_VISIBILITIES = { default: 'DEFAULT', public: 'PUBLIC', private: 'PRIVATE', confidential: 'CONFIDENTIAL' }; // The values of the Visibility column and their CalendarApp.Visibility names
+const EVENT_SHOW_AS = { busy: 'OPAQUE', free: 'TRANSPARENT' }; // The values of the Show As column and their CalendarApp.EventTransparency names
+const MAX_REMINDER_MINUTES = 40320; // The longest time before an event a reminder can be set, four weeks
+
+/**
+ * Compares the options of a calendar event (reminders, visibility, transparency, guest permissions and meeting link) with a row of the sheet and lists the ones that differ, in the form used by GetEventChanges.
+ * Options whose cell is empty keep the calendar's value.
+ * @param {CalendarEvent|CalendarEventSeries} calendarEvent - The event the row is compared with.
+ * @param {Object} event - The row parsed by ParseEventRow.
+ * @param {CalendarEvent|CalendarEventSeries} target - Where the changes are written.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#getpopupreminders
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#setvisibility(Visibility)
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#settransparency(EventTransparency)
+ */
+function GetOptionChanges(calendarEvent, event, target) {
+    const changes = []; // Initialize the list of changes
+    const addChange = (field, oldValue, newValue, apply) => changes.push({ field: field, oldValue: oldValue, newValue: newValue, apply: apply }); // Helper to add a change to the list
+    const formatReminders = (popups, emails) => 'popup: ' + (popups.join(', ') || 'none') + '; email: ' + (emails.join(', ') || 'none'); // Helper to show the reminders of an event
+
+    const oldPopups = SortMinutes(calendarEvent.getPopupReminders()); // Get the popup reminders of the calendar event
+    const oldEmails = SortMinutes(calendarEvent.getEmailReminders()); // Get the email reminders of the calendar event
+    const popups = event.popupReminders || oldPopups; // Get the popup reminders of the row, or keep those of the calendar
+    const emails = event.emailReminders || oldEmails; // Get the email reminders of the row, or keep those of the calendar
+    if (popups.join() !== oldPopups.join() || emails.join() !== oldEmails.join()) { // If the reminders have changed
+        addChange('Reminders', formatReminders(oldPopups, oldEmails), formatReminders(popups, emails), () => { // Update the reminders
+            target.removeAllReminders(); // Remove the popup and email reminders, which cannot be removed one by one
+            popups.forEach(minutes => target.addPopupReminder(minutes)); // Add the popup reminders
+            emails.forEach(minutes => target.addEmailReminder(minutes)); // Add the email reminders
+        });
+    }
+
+    const oldVisibility = String(calendarEvent.getVisibility()); // Get the visibility of the calendar event
+    if (event.visibility && oldVisibility !== event.visibility) { // If a visibility is set in the sheet and it has changed
+        addChange('Visibility', ChoiceLabel(EVENT_VISIBILITIES, oldVisibility), ChoiceLabel(EVENT_VISIBILITIES, event.visibility), () => target.setVisibility(CalendarApp.Visibility[event.visibility])); // Update the visibility
+    }
+
+    const oldShowAs = String(calendarEvent.getTransparency()); // Get the transparency of the calendar event
+    if (event.showAs && oldShowAs !== event.showAs) { // If a transparency is set in the sheet and it has changed
+        addChange('Show As', ChoiceLabel(EVENT_SHOW_AS, oldShowAs), ChoiceLabel(EVENT_SHOW_AS, event.showAs), () => target.setTransparency(CalendarApp.EventTransparency[event.showAs])); // Update the transparency
+    }
+
+    [['Guests Can Modify', 'guestsCanModify', 'setGuestsCanModify'], ['Guests Can Invite Others', 'guestsCanInviteOthers', 'setGuestsCanInviteOthers'], ['Guests Can See Guests', 'guestsCanSeeGuests', 'setGuestsCanSeeGuests']].forEach(([field, key, setter]) => { // Iterate through each guest permission, whose getter has the same name as its column key
+        const oldValue = calendarEvent[key](); // Get the permission of the calendar event
+        if (event[key] !== null && oldValue !== event[key]) { // If the permission is set in the sheet and it has changed
+            addChange(field, String(oldValue), String(event[key]), () => target[setter](event[key])); // Update the permission
+        }
+    });
+
+    if (event.meetingLink !== '') { // If a meeting link is set in the sheet
+        const id = calendarEvent.getId().split('@')[0]; // Get the ID of the event, which is the series ID for recurring events
+        const oldLink = GetMeetingLink(event.calendarId, id, calendarEvent.resource); // Get the meeting link of the calendar event
+        if (event.meetingLink.toLowerCase() == 'new') { // If the row asks for a new Google Meet link
+            if (oldLink == '') addChange('Meeting Link', '', 'New Google Meet link', () => { event.meetingLink = AddMeetLink(event.calendarId, id); }); // Add a link if the event has none, keeping it for the sheet
+            else event.meetingLink = oldLink; // Otherwise show the event's link in the row
+        }
+    }
+
+    return changes; // Return the list of changes
+}
+
+/**
+ * Parses a reminders cell: a comma-separated list of minutes before the event, or "none" for no reminders.
+ * @param {*} value - The value of the cell.
+ * @param {string} header - The header of the column, for the error message.
+ * @return {number[]} The minutes in ascending order, or null if the cell is empty, to keep the calendar's reminders.
+ */
+function ParseReminders(value, header) {
+    const text = value == undefined ? '' : String(value).trim(); // Get the text of the cell
+    if (text == '') return null; // Keep the calendar's reminders
+    if (text.toLowerCase() == 'none') return []; // Remove the reminders
+    const minutes = text.split(/[,;]/).map(part => part.trim()).filter(part => part != ''); // Split the list of minutes
+    minutes.forEach(part => { // Check each reminder
+        if (!/^\d+$/.test(part) || Number(part) > MAX_REMINDER_MINUTES) throw new Error('The ' + header + ' column must list minutes before the event between 0 and ' + MAX_REMINDER_MINUTES + ', or "none": ' + part); // Reject the reminders that cannot be set
+    });
+    return SortMinutes(minutes.map(Number).filter((minute, i, list) => list.indexOf(minute) == i)); // Remove the duplicates and sort the reminders
+}
+
+/**
+ * Sorts a list of reminder minutes in ascending order, without modifying the list.
+ */
+function SortMinutes(minutes) {
+    return minutes.slice().sort((a, b) => a - b); // Sort a copy of the list numerically
+}
+
+/**
+ * Parses a cell holding one of a set of choices, ignoring case.
+ * @param {*} value - The value of the cell.
+ * @param {Object} choices - The accepted values and the names they stand for, e.g. EVENT_VISIBILITIES.
+ * @param {string} header - The header of the column, for the error message.
+ * @return {string} The name the value stands for, or an empty string if the cell is empty.
+ */
+function ParseChoice(value, choices, header) {
+    const text = value == undefined ? '' : String(value).trim().toLowerCase(); // Get the text of the cell
+    if (text == '') return ''; // Keep the calendar's value
+    if (!(text in choices)) throw new Error('The ' + header + ' column must be one of: ' + Object.keys(choices).join(', ') + '.'); // Reject the values that are not a choice
+    return choices[text]; // Return the name of the choice
+}
+
+/**
+ * Gets the value written to the sheet for the name of a choice, e.g. "private" for PRIVATE.
+ */
+function ChoiceLabel(choices, name) {
+    return Object.keys(choices).find(key => choices[key] == name) || String(name).toLowerCase(); // Find the value of the choice
+}
+
+const MEETING_LINK_PROBLEM = 'Only Google Meet links can be added to an event: enter "new" in the Meeting Link column, or clear it to keep the calendar\'s link.'; // The problem of a row whose meeting link cannot be written to the calendar
+
+/**
+ * Checks that the meeting link typed in a row is the link the calendar event already has, since other links cannot be set on an event.
+ * @return {Object[]} The problem of the Meeting Link column, or no problem if the link is empty, "new" or the calendar's link.
+ */
+function MeetingLinkProblems(event, calendarEvent) {
+    if (event.meetingLink === '' || event.meetingLink.toLowerCase() == 'new') return []; // Empty links keep the calendar's link and "new" adds one
+    const link = GetMeetingLink(event.calendarId, calendarEvent.getId().split('@')[0], calendarEvent.resource); // Get the meeting link of the calendar event
+    return event.meetingLink === link ? [] : [{ key: 'meetingLink', message: MEETING_LINK_PROBLEM }]; // Block the row if another link was typed
+}
+
+/**
+ * Gets the video meeting link of an event, using the Google Calendar advanced service since CalendarApp does not expose conference data.
+ * @param {Object} [resource] - The event from the Calendar API, when the sync backend has already read it.
+ * @return {string} The link, or an empty string if the event has none or the advanced service is not turned on.
+ * @see https://developers.google.com/calendar/api/v3/reference/events/get
+ */
+function GetMeetingLink(calendarId, eventId, resource) {
+    if (!resource && typeof Calendar == 'undefined') return ''; // The advanced service is not turned on
+    resource = resource || Calendar.Events.get(calendarId, eventId); // Get the event from the Calendar API, unless it was already read
+    if (resource.hangoutLink) return resource.hangoutLink; // Return the Google Meet link
+    const entryPoint = ((resource.conferenceData || {}).entryPoints || []).find(point => point.entryPointType == 'video'); // Find the video entry point of other conference solutions
+    return entryPoint ? entryPoint.uri : ''; // Return the video link, if any
+}
+
+/**
+ * Adds a Google Meet link to an event, using the Google Calendar advanced service.
+ * @return {string} The new link.
+ * @see https://developers.google.com/calendar/api/guides/create-events#conferencing
+ */
+function AddMeetLink(calendarId, eventId) {
+    if (typeof Calendar == 'undefined') throw new Error('Turn on the Google Calendar advanced service in the script editor to add meeting links.'); // The advanced service is needed to create conferences
+    const request = { conferenceData: { createRequest: { requestId: Utilities.getUuid(), conferenceSolutionKey: { type: 'hangoutsMeet' } } } }; // Ask for a new Google Meet conference
+    const resource = Calendar.Events.patch(request, calendarId, eventId, { conferenceDataVersion: 1 }); // Add the conference to the event
+    return resource.hangoutLink || ''; // Return the new link
+}
+
+/****************************************
+            * GUESTS *
+*****************************************/
+const GROUPS_SHEET_NAME = 'Groups'; // Name of the sheet the guest groups are defined on
+const RSVP_SHEET_NAME = 'RSVP Summary'; // Name of the sheet the answers of the guests are summarised on
+const GUEST_ANSWERS = ['YES', 'NO', 'MAYBE', 'INVITED']; // The CalendarApp.GuestStatus names counted by the RSVP summary
+
+/**
+ * The columns of the groups sheet, keyed by the header names in row 1. Each row names a group of guests that can be entered in the Guests column instead of their emails.
+ */
+const GROUP_COLUMNS = [
+    { key: 'name', header: 'Group', required: true }, // The name of the group, as entered in the Guests column
+    { key: 'emails', header: 'Emails', required: true }, // The emails of the members, separated by commas or new lines
+];
+
+/**
+ * Reads a Guests cell into its guests, as written by the importer: emails separated by commas, each optionally followed by the guest's status in brackets, e.g. "ann@example.com (yes), bob@example.com".
+ * @return {Object[]} The `email` (or group name) and the lower-case `status` of each guest, empty if none is given.
+ */
+function ParseGuests(text) {
+    return String(text == undefined ? '' : text).split(',').map(item => { // Iterate through each guest of the cell
+        const match = /\(([^)]*)\)/.exec(item); // Find the status in brackets
+        return { email: item.replace(/\([^)]*\)/, '').trim(), status: match ? match[1].trim().toLowerCase() : '' }; // Split the email from the status
+    }).filter(guest => guest.email != ''); // Skip the empty items
+}
+
+/**
+ * Gets the guest emails of a Guests cell, with the groups of the groups sheet replaced by the emails of their members. Each email is listed once, whatever its case.
+ */
+function ExpandGuests(text) {
+    const groups = GetGuestGroups(); // Get the guest groups of the spreadsheet
+    const emails = []; // Initialize the list of emails
+    ParseGuests(text).forEach(guest => { // Iterate through each guest of the cell
+        const members = EMAIL_PATTERN.test(guest.email) ? [guest.email] : groups[guest.email.toLowerCase()] || [guest.email]; // Expand the groups, keeping the other values for ValidateRow to report
+        members.forEach(email => { if (!emails.some(other => other.toLowerCase() == email.toLowerCase())) emails.push(email); }); // Add each email once
+    });
+    return emails; // Return the emails
+}
+
+/**
+ * Lists the guests of a Guests cell that are neither emails nor groups of the groups sheet.
+ */
+function UnknownGuests(text) {
+    const groups = GetGuestGroups(); // Get the guest groups of the spreadsheet
+    return ParseGuests(text).map(guest => guest.email).filter(email => !EMAIL_PATTERN.test(email) && !groups[email.toLowerCase()]); // Keep the values that are not emails or groups
+}
+
+/**
+ * Reads the guest groups of the groups sheet once per run. A group may take several rows, whose members are added together.
+ * @return {Object} The emails of the members of each group, keyed by the lower-case group name; empty if the spreadsheet has no groups sheet.
+ * @throws {Error} If the groups sheet lacks a required column or lists a member that is not an email.
+ */
+function GetGuestGroups() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    if (settings.groups) return settings.groups; // Return the groups already read in this run
+    const groups = {}; // Initialize the groups
+    const sheet = settings.spreadSheet.getSheetByName(GROUPS_SHEET_NAME); // Get the groups sheet
+    if (sheet) { // If the spreadsheet defines groups
+        const columns = GetColumnMap(sheet, GROUP_COLUMNS); // Map the headers of the groups sheet
+        if (columns.missing.length > 0) throw new Error(`The "${GROUPS_SHEET_NAME}" sheet is missing the column(s): ${columns.missing.join(', ')}.`); // Reject groups sheets without the required columns
+        ReadEventRows(sheet, columns, GROUP_COLUMNS).filter(group => String(group.name).trim() != '').forEach(group => { // Iterate through each named group
+            const members = String(group.emails).split(/[,\n]/).map(email => email.trim()).filter(email => email != ''); // Get the emails of the members
+            const invalid = members.filter(email => !EMAIL_PATTERN.test(email)); // Get the members that are not emails
+            if (invalid.length > 0) throw new Error(`Invalid email(s) in the "${String(group.name).trim()}" group of the "${GROUPS_SHEET_NAME}" sheet: ${invalid.join(', ')}.`); // Reject invalid members
+            const key = String(group.name).trim().toLowerCase(); // Match the group names regardless of case
+            groups[key] = (groups[key] || []).concat(members); // Add the members to the group
+        });
+    }
+    settings.groups = groups; // Keep the groups for the rest of the run
+    return groups; // Return the groups
+}
+
+/**
+ * Adds guests to an existing event and emails an invitation to each of them.
+ * The Calendar API can only notify all the guests of a change or none of them, so the guests are added without any notification and only the new guests are emailed. Events of the advanced backend are changed and emailed with the next flush.
+ * @param {Object} event - The parsed row of the event, whose title, times, location and description are shown in the invitation.
+ * @param {CalendarEvent|CalendarEventSeries} calendarEvent - The event, instance or series to add the guests to.
+ * @param {string[]} emails - The emails of the guests to invite.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#addguest(String)
+ */
+function InviteGuests(event, calendarEvent, emails) {
+    if (calendarEvent.inviteGuests) { // If the backend sends the invitations itself
+        calendarEvent.inviteGuests(emails, event); // Queue the invitations
+        return;
+    }
+    emails.forEach(email => calendarEvent.addGuest(email)); // Add the guests, which CalendarApp does without notifying anyone
+    SendInvitationEmails(event, emails, ''); // Email the invitation to the new guests only
+}
+
+/**
+ * Emails an invitation to an event to each of the given guests, one email per guest so that they do not see each other's addresses.
+ * @param {Object} event - The parsed row of the event.
+ * @param {string[]} emails - The emails of the guests to invite.
+ * @param {string} link - The link to the event in Google Calendar, or an empty string if it is not known.
+ * @see https://developers.google.com/apps-script/reference/mail/mail-app#sendEmail(Object)
+ */
+function SendInvitationEmails(event, emails, link) {
+    const time = FormatTimeRange(event.start, event.end, event.allDay); // Format the time of the event
+    const details = [`<b>${EscapeHtml(event.title)}</b>`, EscapeHtml(time)]; // Start with the title and the time of the event
+    if (event.location) details.push(EscapeHtml(event.location)); // Add the location, if any
+    if (event.description) details.push(EscapeHtml(event.description).replace(/\n/g, '<br>')); // Add the description, if any
+    if (link) details.push(`<a href="${EscapeHtml(link)}">Open the event in Google Calendar</a>`); // Add the link to the event, if known
+    const htmlBody = `<p>You have been invited to an event.</p><p>${details.join('<br>')}</p>`; // Build the body of the invitation
+    emails.forEach(email => MailApp.sendEmail({ to: email, subject: `Invitation: ${event.title} @ ${time}`, htmlBody: htmlBody })); // Email each new guest
+}
+
+/**
+ * This function is triggered when the user selects "RSVP Summary" from the custom menu. It lists the answers of the guests of each event in the sheet on the RSVP summary sheet, read from the calendar: how many said yes, no and maybe, and who has not answered yet.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#getguestlist()
+ */
+function ShowRsvpSummary() {
+    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
+    if (!ColumnsAreValid(true)) return; // Check that the sheet has all the required headers, if not, display an error message and return
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const data = [['Row', 'Title', 'Start', 'Guests', 'Yes', 'No', 'Maybe', 'Awaiting', 'Not Answered Yet']]; // Initialize the data with the header row
+    settings.events.filter(row => String(row.id).trim() != '' && String(row.title).trim() != '' && !ToBoolean(row.delete)).forEach(row => { // Iterate through each row with an event
+        let found = null; // Initialize the event of the row
+        try { // Try to find the event, so that one bad row does not stop the others
+            const event = ParseEventRow(row); // Read the row
+            found = FindRowEvent(GetCalendar(event.calendarId), event); // Find the event of the row
+        }
+        catch (e) { // If the row cannot be read
+            data.push([row.row, row.title, '', '', '', '', '', '', ErrorMessage(e)]); // Show the error instead of the answers
+            return;
+        }
+        if (!found) return; // Skip the rows whose event is no longer in the calendar
+        const guests = found.calendarEvent.getGuestList(); // Get the guests of the event
+        const count = {}; // Initialize the number of guests per answer
+        GUEST_ANSWERS.forEach(status => count[status] = guests.filter(guest => String(guest.getGuestStatus()) == status).length); // Count the guests of each answer
+        const waiting = guests.filter(guest => String(guest.getGuestStatus()) == 'INVITED').map(guest => guest.getEmail()); // Get the guests who have not answered
+        const times = EventTimes(found.calendarEvent); // Get the times of the event
+        data.push([row.row, found.calendarEvent.getTitle(), FormatTimeRange(times.start, times.end, found.calendarEvent.isAllDayEvent()), guests.length, count.YES, count.NO, count.MAYBE, count.INVITED, waiting.join(', ')]); // Add the summary of the event
+    });
+    const sheet = settings.spreadSheet.getSheetByName(RSVP_SHEET_NAME) || settings.spreadSheet.insertSheet(RSVP_SHEET_NAME); // Get the summary sheet, creating it if it does not exist
+    sheet.clear(); // Clear the previous summary
+    sheet.getRange(1, 1, data.length, data[0].length).setValues(data); // Write the summary to the sheet
+    sheet.getRange(1, 1, 1, data[0].length).setFontWeight('bold'); // Make the header row bold
+    sheet.setFrozenRows(1); // Freeze the header row
+    sheet.activate(); // Show the summary sheet to the user
+}
+
+/****************************************
+            * TWO-WAY SYNC *
+*****************************************/
+const CONFLICT_POLICIES = { sheet: 'Sheet wins', calendar: 'Calendar wins', ask: 'Ask' }; // The ways a conflict can be resolved
+
+/**
+ * Reads the fields of a calendar event into an object keyed by the column schema, in the form they are written to the sheet.
+ * @param {CalendarEvent} event - The calendar event to read.
+ * @param {string} calendarId - The ID of the calendar the event was read from.
+ * @param {boolean} [allOptions] - Whether to read every event option, and not only those the sheet has columns for.
+ * @param {string} [timeZone] - The time zone of the row the event is written to, empty to show the times in the sheet's time zone.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event
+ */
+function ReadCalendarEvent(event, calendarId, allOptions, timeZone) {
+    const times = EventTimes(event); // Get the times of the event
+    const isAllDay = event.isAllDayEvent(); // Get whether the event is an all-day event
+    const record = {
+        id: event.getId().split('@')[0], // Extract the event ID before the '@' symbol
+        title: event.getTitle(), // Get the event title
+        start: isAllDay ? DayToCell(times.start) : DateToCell(times.start, timeZone || GetSettings().timeZone), // Get the start of the event as shown in the sheet
+        end: isAllDay ? DayToCell(times.end) : DateToCell(times.end, timeZone || GetSettings().timeZone), // Get the end of the event as shown in the sheet
+        allDay: isAllDay, // Get whether the event is an all-day event
+        timeZone: timeZone || '', // Keep the time zone of the row
+        description: event.getDescription(), // Get the description of the event
+        color: event.getColor(), // Get the color of the event
+        guests: event.getGuestList().map(g => `${g.getEmail()} (${g.getGuestStatus().toString().toLowerCase()})`).join(', '), // Get the guests of the event
+        myStatus: event.getMyStatus(), // Get the user's status for the event
+        location: event.getLocation(), // Get the location of the event
+        calendar: CalendarLabel(calendarId), // Get the name of the calendar for the Calendar column
+        seriesId: event.isRecurringEvent() ? event.getId().split('@')[0] : '', // Mark instances of a recurring event with their series ID
+        instanceStart: event.isRecurringEvent() ? event.getStartTime().getTime() : '', // Remember where the instance starts, to find it again
+    };
+    const options = { // Readers of the event options, which are only read when the sheet has their columns
+        popupReminders: () => SortMinutes(event.getPopupReminders()).join(', '), // Get the popup reminders of the event
+        emailReminders: () => SortMinutes(event.getEmailReminders()).join(', '), // Get the email reminders of the event
+        visibility: () => ChoiceLabel(EVENT_VISIBILITIES, String(event.getVisibility())), // Get the visibility of the event
+        showAs: () => ChoiceLabel(EVENT_SHOW_AS, String(event.getTransparency())), // Get whether the event shows as busy or free
+        guestsCanModify: () => event.guestsCanModify(), // Get whether the guests can modify the event
+        guestsCanInviteOthers: () => event.guestsCanInviteOthers(), // Get whether the guests can invite other people
+        guestsCanSeeGuests: () => event.guestsCanSeeGuests(), // Get whether the guests can see the guest list
+        meetingLink: () => GetMeetingLink(calendarId, record.id, event.resource), // Get the meeting link of the event
+    };
+    const columns = GetSettings().columns; // Get the column map of the active sheet
+    Object.keys(options).filter(key => allOptions || columns.index[key] != undefined).forEach(key => record[key] = options[key]()); // Read the options the sheet has columns for
+    return record; // Return the fields of the event
+}
+
+/**
+ * Writes a calendar event into a row of the sheet, keeping the columns that are not read from the calendar. When no row is given, the event is appended below the last row.
+ * The written values are the ones the fingerprint is taken from, so the row matches the fingerprint after the pull.
+ * @return {Object} The values written to the row, keyed by the column schema, including the row number in `row`.
+ */
+function WritePulledRow(row, calendarEvent, calendarId) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.sheet; // Get the active sheet in the spreadsheet
+    const columns = settings.columns; // Get the column map of the active sheet
+    const range = sheet.getRange(row || sheet.getLastRow() + 1, 1, 1, columns.width); // Get the range of the given row or the first empty row
+    const values = range.getValues()[0]; // Get the current values of the row
+    const timeZone = columns.index.timeZone == undefined ? '' : String(values[columns.index.timeZone]).trim(); // Get the time zone of the row, to show the times in
+    const record = ReadCalendarEvent(calendarEvent, calendarId, false, timeZone); // Read the fields of the event
+    record.row = range.getRow(); // Remember the row the event is written to
+    Object.keys(record).filter(key => columns.index[key] != undefined).forEach(key => values[columns.index[key]] = record[key]); // Overwrite every value read from the calendar, even an empty one, so fields cleared in the calendar are cleared in the row too
+    range.setValues([values]); // Write the row to the sheet
+    sheet.getRange(record.row, columns.index.start + 1, 1, 1).setNumberFormat(settings.dateFormat); // Format the start time of the row
+    sheet.getRange(record.row, columns.index.end + 1, 1, 1).setNumberFormat(settings.dateFormat); // Format the end time of the row
+    return record; // Return the values written to the row
+}
+
+/**
+ * Computes a fingerprint of the synced fields of a row, used to tell whether the row has changed since the last sync.
+ * @see https://developers.google.com/apps-script/reference/utilities/utilities#computeDigest(DigestAlgorithm,String)
+ */
+function SheetFingerprint(event) {
+    const fields = [String(event.title), event.start.getTime(), event.end.getTime(), event.allDay, String(event.description == null ? '' : event.description), event.color, event.guests.slice().sort().join(','), String(event.myStatus || ''), String(event.location == null ? '' : event.location)]; // List the synced fields in a fixed order
+    if (event.recurrence) fields.push(event.recurrence); // Add the recurrence of series rows, leaving the fingerprint of other rows as before
+    const options = [event.popupReminders, event.emailReminders, event.visibility, event.showAs, event.guestsCanModify, event.guestsCanInviteOthers, event.guestsCanSeeGuests, event.meetingLink]; // List the event options
+    if (options.some(option => option != null && option !== '')) fields.push(options); // Add the options of rows that set any, leaving the fingerprint of other rows as before
+    return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(fields))); // Hash the fields
+}
+
+/**
+ * Builds the fingerprint stored in the hidden Sync Fingerprint column: the fingerprint of the row and the last-updated time of the calendar event, taken when both sides are in sync.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#getlastupdated
+ */
+function MakeFingerprint(event, calendarEvent) {
+    return SheetFingerprint(event) + '@' + calendarEvent.getLastUpdated().getTime(); // Combine the row fingerprint and the calendar timestamp
+}
+
+/**
+ * Reads a fingerprint stored by MakeFingerprint, or returns null if the row has never been synced.
+ */
+function ParseFingerprint(fingerprint) {
+    const parts = String(fingerprint || '').split('@'); // Split the row fingerprint from the calendar timestamp
+    if (parts.length != 2 || parts[0] == '' || isNaN(parts[1])) return null; // Return null if there is no valid fingerprint
+    return { sheet: parts[0], calendar: Number(parts[1]) }; // Return both parts of the fingerprint
+}
+
+/**
+ * Gets the conflict policy of the spreadsheet: 'sheet', 'calendar' or 'ask' (the default).
+ * @see https://developers.google.com/apps-script/reference/properties/properties-service#getdocumentproperties
+ */
+function GetConflictPolicy() {
+    const policy = PropertiesService.getDocumentProperties().getProperty('CONFLICT_POLICY'); // Get the policy stored for the spreadsheet
+    return CONFLICT_POLICIES[policy] ? policy : 'ask'; // Default to asking the user
+}
+
+/**
+ * Sets the action of a plan entry whose row and calendar event have both changed since the last sync, following the conflict policy.
+ * With the 'ask' policy the entry is flagged as a conflict and keeps both actions, so that AskConflicts can let the user choose.
+ */
+function ResolveConflict(entry, policy, sheetAction, calendarAction) {
+    entry.sheetAction = sheetAction; // The action that keeps the sheet version
+    entry.calendarAction = calendarAction; // The action that keeps the calendar version
+    if (policy == 'sheet') entry.action = sheetAction; // Keep the sheet version
+    else if (policy == 'calendar') entry.action = calendarAction; // Keep the calendar version
+    else entry.action = 'conflict'; // Flag the conflict
+}
+
+/**
+ * Asks the user how to resolve each conflict of a sync plan. Conflicts the user skips stay flagged in the sheet and are not synced.
+ * @see https://developers.google.com/apps-script/reference/base/ui#alert(String,String,ButtonSet)
+ */
+function AskConflicts(plan) {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    plan.filter(entry => entry.action == 'conflict').forEach(entry => { // Iterate through each conflict
+        const fields = entry.changes.length > 0 ? entry.changes.map(change => `${change.field}: "${change.oldValue}" in the calendar, "${change.newValue}" in the sheet`).join('\n') : 'The event was deleted in the calendar.'; // Describe what differs
+        const response = ui.alert(`Conflict in row ${entry.event.row}`, `"${entry.event.title}" was changed in both the sheet and the calendar since the last sync.\n\n${fields}\n\nYes: keep the sheet version\nNo: keep the calendar version\nCancel: skip this row`, ui.ButtonSet.YES_NO_CANCEL); // Ask the user which version to keep
+        if (response == ui.Button.YES) entry.action = entry.sheetAction; // Keep the sheet version
+        else if (response == ui.Button.NO) entry.action = entry.calendarAction; // Keep the calendar version
+    });
+}
+
+/**
+ * This function displays a prompt dialog to the user to choose how the two-way sync resolves rows that were changed in both the sheet and the calendar.
+ * @see https://developers.google.com/apps-script/reference/properties/properties-service#getdocumentproperties
+ */
+function ShowConflictPolicy() {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const options = Object.keys(CONFLICT_POLICIES).map(key => `${key} - ${CONFLICT_POLICIES[key]}`).join('\n'); // List the available policies
+    const result = ui.prompt('Conflict Policy', `Current policy: ${GetConflictPolicy()}\n\nWhen a row was changed in both the sheet and the calendar since the last sync, which version should win?\n${options}`, ui.ButtonSet.OK_CANCEL); // Ask the user for the policy
+    if (result.getSelectedButton() != ui.Button.OK) return; // Stop here if the user cancelled
+    const policy = result.getResponseText().trim().toLowerCase(); // Get the policy entered by the user
+    if (!CONFLICT_POLICIES[policy]) { // If the policy is not known
+        DisplayError('Unknown conflict policy "' + EscapeHtml(policy) + '". Please enter one of: ' + Object.keys(CONFLICT_POLICIES).join(', ')); // Display an error message listing the valid policies
+        return;
+    }
+    PropertiesService.getDocumentProperties().setProperty('CONFLICT_POLICY', policy); // Save the policy for the spreadsheet
+}
+
+/****************************************
+            * ARCHIVE & UNDO *
+*****************************************/
+const ARCHIVE_SHEET_NAME = 'Archive'; // Name of the sheet deleted events are saved to
+const SYNC_LOG_SHEET_NAME = 'Sync Log'; // Name of the hidden sheet the changes of the last sync are logged to
+const SYNC_LOG_HEADERS = ['Time', 'Sheet', 'Action', 'Calendar ID', 'Event ID', 'Details']; // The columns of the sync log
+const NOT_ARCHIVED_KEYS = ['applyTo', 'sendInvites', 'removeGuests', 'delete', 'syncStatus', 'syncError', 'lastSynced', 'fingerprint', 'syncedRecurrence']; // The columns that describe how a row is synced rather than the event itself
+
+/**
+ * The columns of the archive sheet: when and where each event was deleted, the fields of the event, and when it was restored.
+ */
+const ARCHIVE_COLUMNS = [
+    { key: 'deletedAt', header: 'Deleted At' }, // The time the event was deleted
+    { key: 'sheet', header: 'Sheet' }, // The name of the sheet the event was deleted from
+    { key: 'calendarId', header: 'Calendar ID' }, // The ID of the calendar the event was deleted from
+].concat(COLUMNS.filter(col => !NOT_ARCHIVED_KEYS.includes(col.key)).map(col => ({ key: col.key, header: col.header })), [ // The fields of the event, with the headers of the event columns
+    { key: 'restoredAt', header: 'Restored At' }, // The time the event was restored
+    { key: 'restoredId', header: 'Restored ID' }, // The ID of the re-created event
+]);
+
+/**
+ * Reads every field of a calendar event before a sync changes or deletes it, so that the event can be archived, and re-created or changed back later.
+ * @param {CalendarEvent} calendarEvent - The event the row is compared with (the first instance for a series row).
+ * @param {Object} event - The row parsed by ParseEventRow.
+ * @return {Object} The fields of the event keyed by the column schema, with its `calendarId` and the row's `applyTo`.
+ */
+function SnapshotEvent(calendarEvent, event) {
+    const record = ReadCalendarEvent(calendarEvent, event.calendarId, true, event.timeZone); // Read the event with all of its options, with the times as the row shows them
+    record.id = event.id; // Keep the ID of the row, which is the series ID for series rows
+    record.calendarId = event.calendarId; // Keep the calendar of the event
+    record.myStatus = String(record.myStatus || ''); // Keep the user's status as text
+    record.recurrence = event.syncedRecurrence || event.recurrence; // Keep the recurrence of series rows as it is in the calendar
+    record.applyTo = event.applyTo; // Keep whether the row's changes were written to the whole series
+    if (record.recurrence) Object.assign(record, { seriesId: '', instanceStart: '' }); // A series row stands for the whole series, not its first instance
+    return record; // Return the fields of the event
+}
+
+/**
+ * Appends an event about to be deleted by a sync to the archive sheet, with every field and the time of the deletion.
+ * It is called before the event is deleted, so an event is never deleted without its copy in the archive.
+ * @param {Object} entry - The plan entry of the deletion, with the fields of the event in `snapshot`.
+ */
+function ArchiveDeletedEvent(entry) {
+    const archive = GetLogSheet(ARCHIVE_SHEET_NAME, ARCHIVE_COLUMNS.map(col => col.header), false); // Get the archive sheet
+    const columns = GetColumnMap(archive, ARCHIVE_COLUMNS); // Map the headers of the archive sheet
+    entry.deletedAt = new Date(); // Remember when the event was deleted, to find its archive row again
+    const row = EventToRow(Object.assign({ deletedAt: entry.deletedAt, sheet: GetSettings().sheet.getName() }, entry.snapshot), columns, ARCHIVE_COLUMNS); // Lay out the fields of the event in the columns of the archive
+    entry.archiveRow = archive.getLastRow() + 1; // Remember the archive row, to remove it if the deletion fails
+    archive.getRange(entry.archiveRow, 1, 1, columns.width).setValues([row]); // Append the event below the last row
+}
+
+/**
+ * Removes the archive rows of the events whose deletion failed, including deletions the backend sent in a batch after the event was archived, so that the archive only lists events that are gone from the calendar.
+ */
+function UnarchiveFailedDeletes(plan) {
+    const failed = plan.filter(entry => entry.archiveRow && entry.status != 'deleted'); // Get the archived events that were not deleted
+    if (failed.length == 0) return; // Nothing to remove
+    const archive = GetSettings().spreadSheet.getSheetByName(ARCHIVE_SHEET_NAME); // Get the archive sheet
+    failed.map(entry => entry.archiveRow).sort((a, b) => b - a).forEach(row => archive.deleteRows(row, 1)); // Remove the rows from the bottom up, so that the other row numbers stay valid
+    failed.forEach(entry => delete entry.archiveRow); // The events are no longer archived
+}
+
+/**
+ * Logs the changes a sync made to the calendar on the hidden sync log sheet. The first changes of a run replace the log, so it always holds the last sync that changed the calendar.
+ * Each line holds what Undo Last Sync needs to reverse the change: the fields of updated, deleted and moved events before the sync.
+ */
+function LogSyncChanges(plan) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheetName = settings.sheet.getName(); // Get the name of the synced sheet
+    const now = new Date(); // Get the time of the sync
+    const lines = []; // Initialize the lines of the log
+    const log = (action, calendarId, id, details) => lines.push([now, sheetName, action, calendarId, id, JSON.stringify(details)]); // Helper to add a line to the log
+    plan.forEach(entry => { // Iterate through each applied change
+        const event = entry.event; // Get the event parsed from the row
+        if (entry.status == 'created') log('created', event.calendarId, event.id, { recurrence: event.recurrence }); // Log the new event
+        else if (entry.status == 'updated' && entry.action == 'move') log('moved', event.calendarId, event.id, { recurrence: event.recurrence, record: entry.snapshot }); // Log the new event and the event removed from the old calendar
+        else if (entry.status == 'updated') log('updated', event.calendarId, event.id, { record: entry.snapshot, instanceStart: event.seriesId && !event.recurrence ? entry.calendarEvent.getStartTime().getTime() : 0 }); // Log the event before the change, and where an instance starts now
+        else if (entry.status == 'deleted' && entry.action == 'delete') log('deleted', event.calendarId, event.id, { record: entry.snapshot, deletedAt: entry.deletedAt.getTime() }); // Log the deleted event
+    });
+    if (lines.length == 0) return; // Keep the log of the last sync if this run changed nothing
+    const sheet = GetLogSheet(SYNC_LOG_SHEET_NAME, SYNC_LOG_HEADERS, true); // Get the sync log sheet
+    if (!settings.logStarted && sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1); // Clear the log of the last sync
+    settings.logStarted = true; // Add the next changes of this run to the new log
+    sheet.getRange(sheet.getLastRow() + 1, 1, lines.length, SYNC_LOG_HEADERS.length).setValues(lines); // Append the changes to the log
+}
+
+/**
+ * Gets a sheet kept by the synchronizer, such as the archive, creating it with its header row at the end of the spreadsheet if it does not exist.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/spreadsheet#insertsheet(String,Integer)
+ */
+function GetLogSheet(name, headers, hidden) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const existing = settings.spreadSheet.getSheetByName(name); // Get the sheet by its name
+    if (existing) return existing; // Return the sheet if it exists
+    const sheet = settings.spreadSheet.insertSheet(name, settings.spreadSheet.getNumSheets()); // Add the sheet after the last sheet
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold'); // Write the bold header row
+    sheet.setFrozenRows(1); // Freeze the header row
+    if (hidden) sheet.hideSheet(); // Hide the sheets the user does not need to see
+    settings.sheet.activate(); // Stay on the synced sheet
+    return sheet; // Return the new sheet
+}
+
+/**
+ * This function is triggered when the user selects the "Restore Selected" option from the custom menu. It re-creates the events of the rows selected on the archive sheet in their calendars, and points their rows back at them (or adds the rows again if they were removed from the sheet).
+ * Instances of a recurring event are restored as single events, and events that had a meeting link get a new Google Meet link.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/sheet#getactiverangelist
+ */
+function RestoreSelected() {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const archive = SpreadsheetApp.getActiveSheet(); // Get the active sheet, which should be the archive
+    if (archive.getName() != ARCHIVE_SHEET_NAME) { // If another sheet is active
+        ui.alert('Restore Selected', `Select the rows of the events to restore on the "${ARCHIVE_SHEET_NAME}" sheet first.`, ui.ButtonSet.OK); // Tell the user where to select the events
+        return;
+    }
+    const selected = []; // Initialize the list of selected row numbers
+    archive.getActiveRangeList().getRanges().forEach(range => { for (let row = range.getRow(); row <= range.getLastRow(); row++) selected.push(row); }); // List each selected row
+    const columns = GetColumnMap(archive, ARCHIVE_COLUMNS); // Map the headers of the archive sheet
+    const records = ReadEventRows(archive, columns, ARCHIVE_COLUMNS).filter(record => selected.includes(record.row) && String(record.id).trim() != '' && !record.restoredAt); // Get the selected events that have not been restored yet
+    if (records.length == 0) { // If no archived event is selected
+        ui.alert('Restore Selected', 'None of the selected rows is an archived event that has not been restored yet.', ui.ButtonSet.OK); // Tell the user there is nothing to restore
+        return;
+    }
+
+    const failures = []; // Initialize the list of events that could not be restored
+    let restored = 0; // Count the restored events
+    const sheetNames = records.map(record => record.sheet).filter((name, i, names) => names.indexOf(name) == i); // Get the sheets the events were deleted from
+    sheetNames.forEach(sheetName => { // Restore the events of each sheet in turn
+        const sheet = SpreadsheetApp.getActive().getSheetByName(sheetName); // Get the sheet the events were deleted from
+        if (!sheet) { // If the sheet was renamed or deleted
+            failures.push(`The sheet "${sheetName}" was not found.`); // Skip its events
+            return;
+        }
+        settings = null; // Forget the settings of the previous sheet
+        GetSettings(sheet); // Read the settings of the sheet the events are restored to
+        const lock = AcquireSyncLock(); // Make sure no sync changes the sheet at the same time
+        if (!lock) return; // Stop here if a sync is running
+        try { // Try to restore the events while holding the lock
+            records.filter(record => record.sheet == sheetName).forEach(record => { // Iterate through each event of the sheet
+                try { // Try to restore the event, so that one failure does not stop the others
+                    const calendarEvent = RestoreEvent(record); // Re-create the event in its calendar
+                    const newId = calendarEvent.getId().split('@')[0]; // Get the ID of the new event
+                    RestoreRow(String(record.id).trim(), record, newId, 'restored', 'Restored from the archive.'); // Point the row at the new event
+                    MarkArchiveRestored(archive, columns, record.row, newId); // Record the restore in the archive
+                    restored++; // Count the restored event
+                }
+                catch (e) { // Catch any errors that occur while restoring the event
+                    failures.push(`Row ${record.row}: ${ErrorMessage(e)}`); // Keep the error message for the summary
+                }
+            });
+            GetBackend().flush().forEach(failure => failures.push(failure.message)); // Send the changes the backend has kept to send in batches
+        }
+        finally { // Always release the lock, even if the restore failed
+            lock.releaseLock(); // Let the next sync run
+        }
+    });
+    ui.alert('Restore Selected', `${restored} event(s) restored.` + (failures.length > 0 ? '\n\nThe following could not be restored:\n' + failures.join('\n') : ''), ui.ButtonSet.OK); // Show the result of the restore
+}
+
+/**
+ * This function is triggered when the user selects the "Undo Last Sync" option from the custom menu. It reverses the calendar changes logged by the last sync that changed the calendar: created events are deleted, updated events are changed back and deleted or moved events are re-created where they were.
+ * The rows keep their values, so the next sync applies them again unless they are changed; rows pulled or imported from the calendar are left as they are.
+ */
+function UndoLastSync() {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const spreadSheet = SpreadsheetApp.getActive(); // Get the active spreadsheet
+    const logSheet = spreadSheet.getSheetByName(SYNC_LOG_SHEET_NAME); // Get the sync log sheet
+    const entries = logSheet && logSheet.getLastRow() > 1 ? logSheet.getRange(2, 1, logSheet.getLastRow() - 1, SYNC_LOG_HEADERS.length).getValues().map(values => ({ time: values[0], sheet: values[1], action: values[2], calendarId: values[3], id: String(values[4]), details: JSON.parse(values[5]) })) : []; // Read the logged changes
+    if (entries.length == 0) { // If nothing is logged
+        ui.alert('Undo Last Sync', 'There is no sync to undo.', ui.ButtonSet.OK); // Tell the user there is nothing to undo
+        return;
+    }
+    const sheet = spreadSheet.getSheetByName(entries[0].sheet); // Get the synced sheet
+    if (!sheet) { // If the sheet was renamed or deleted
+        ui.alert('Undo Last Sync', `The sheet "${entries[0].sheet}" of the last sync was not found.`, ui.ButtonSet.OK); // Tell the user the sync cannot be undone
+        return;
+    }
+    const count = action => entries.filter(entry => entry.action == action).length; // Helper to count the logged changes of one kind
+    const time = Utilities.formatDate(entries[0].time, spreadSheet.getSpreadsheetTimeZone(), 'dd/MM/yyyy HH:mm'); // Format the time of the sync
+    const response = ui.alert('Undo Last Sync', `The last sync of "${sheet.getName()}" (${time}) will be undone: ${count('created')} created event(s) will be deleted, ${count('updated')} updated event(s) changed back, and ${count('deleted')} deleted and ${count('moved')} moved event(s) re-created where they were.\n\nDo you want to continue?`, ui.ButtonSet.YES_NO); // Ask the user to confirm
+    if (response != ui.Button.YES) return; // Stop here if the user did not confirm
+
+    GetSettings(sheet); // Read the settings of the synced sheet
+    const lock = AcquireSyncLock(); // Make sure no other sync is running
+    if (!lock) return; // Stop here if another sync is running
+    const failures = []; // Initialize the list of changes that could not be undone
+    try { // Try to undo the sync while holding the lock
+        entries.reverse().forEach(entry => { // Undo the changes in the reverse order
+            try { // Try to undo the change, so that one failure does not stop the others
+                UndoLoggedChange(entry); // Reverse the change
+            }
+            catch (e) { // Catch any errors that occur while undoing the change
+                failures.push(`${entry.action} event ${entry.id}: ${ErrorMessage(e)}`); // Keep the error message for the summary
+            }
+        });
+        GetBackend().flush().forEach(failure => failures.push(failure.message)); // Send the changes the backend has kept to send in batches
+        logSheet.deleteRows(2, logSheet.getLastRow() - 1); // Clear the log, so that the sync is not undone twice
+    }
+    finally { // Always release the lock, even if the undo failed
+        lock.releaseLock(); // Let the next sync run
+    }
+    ui.alert('Undo Last Sync', failures.length == 0 ? 'The last sync was undone.' : 'The last sync was undone, except for:\n' + failures.join('\n'), ui.ButtonSet.OK); // Show the result of the undo
+}
+
+/**
+ * Reverses one change logged by LogSyncChanges, and marks the row of the event as undone.
+ * @throws {Error} If the event to change back is no longer in the calendar.
+ */
+function UndoLoggedChange(entry) {
+    const calendar = GetCalendar(entry.calendarId); // Get the calendar the change was made in
+    const record = entry.details.record; // Get the fields of the event before the sync
+    const deleteEvent = () => { // Helper to delete the event created by the sync
+        const calendarEvent = entry.details.recurrence ? calendar.getEventSeriesById(entry.id) : calendar.getEventById(entry.id); // Get the event, or the whole series
+        if (calendarEvent) DeleteEvent(calendarEvent); // Delete it, unless it was already deleted
+    };
+    switch (entry.action) { // Undo the change based on its kind
+        case 'created': // If the sync created the event
+            deleteEvent(); // Delete the event
+            WriteRowValues(FindRowById(entry.id, 0), { id: '', fingerprint: '', syncStatus: 'undone', syncError: 'The event created by the last sync was deleted.' }); // Unlink the row from the deleted event
+            break;
+        case 'updated': { // If the sync updated the event
+            const event = ParseEventRow(Object.assign({}, record, { calendar: '', meetingLink: '' })); // Parse the event as it was, leaving out the meeting link, which cannot be changed back
+            event.calendarId = entry.calendarId; // Change the event in its calendar
+            if (entry.details.instanceStart) event.instanceStart = entry.details.instanceStart; // Find an instance where it starts now
+            const found = FindRowEvent(calendar, event); // Find the event, or its series
+            if (!found) throw new Error('The event is no longer in the calendar.'); // Fail if the event was deleted since
+            UpdateEvent(found.calendarEvent, GetEventChanges(found.calendarEvent, event, found.target)); // Change the fields back
+            WriteRowValues(FindRowById(entry.id, entry.details.instanceStart), { fingerprint: '', syncStatus: 'undone', syncError: 'The changes of the last sync were reversed in the calendar.' }); // Let the next sync compare the row with the event again
+            break;
+        }
+        case 'deleted': { // If the sync deleted the event
+            const newId = RestoreEvent(record).getId().split('@')[0]; // Re-create the event
+            RestoreRow(entry.id, record, newId, 'undone', 'The event deleted by the last sync was re-created.'); // Point the row at the new event
+            const archive = GetSettings().spreadSheet.getSheetByName(ARCHIVE_SHEET_NAME); // Get the archive sheet
+            const columns = archive ? GetColumnMap(archive, ARCHIVE_COLUMNS) : null; // Map the headers of the archive sheet
+            const archived = archive ? ReadEventRows(archive, columns, ARCHIVE_COLUMNS).find(row => row.calendarId == entry.calendarId && String(row.id).trim() == entry.id && row.deletedAt instanceof Date && row.deletedAt.getTime() == entry.details.deletedAt) : null; // Find the archive row of the deletion
+            if (archived) MarkArchiveRestored(archive, columns, archived.row, newId); // Record the restore in the archive
+            break;
+        }
+        case 'moved': { // If the sync moved the event to another calendar
+            deleteEvent(); // Delete the event from its new calendar
+            const newId = RestoreEvent(record).getId().split('@')[0]; // Re-create the event in its old calendar
+            RestoreRow(entry.id, record, newId, 'undone', 'The event moved by the last sync was moved back.'); // Point the row at the event in its old calendar
+            break;
+        }
+    }
+}
+
+/**
+ * Re-creates an archived event in its calendar, without sending invites.
+ * @param {Object} record - The fields of the event, keyed by the column schema, with its `calendarId`.
+ * @return {CalendarEvent} The new event.
+ */
+function RestoreEvent(record) {
+    const event = ParseEventRow(Object.assign({}, record, { calendar: '', seriesId: '', meetingLink: record.meetingLink ? 'new' : '', sendInvites: false })); // Parse the event as a single event or a series, asking for a new meeting link if it had one
+    event.calendarId = record.calendarId; // Create the event in its calendar
+    return CreateEvent(event); // Create the event
+}
+
+/**
+ * Points the row of a re-created event at the new event, or appends the event to the sheet if its row was removed.
+ * @param {string} id - The event ID in the row.
+ * @param {Object} record - The fields of the event, keyed by the column schema.
+ * @param {string} newId - The ID of the re-created event.
+ * @param {string} status - The status written to the row.
+ * @param {string} message - The message written to the row.
+ */
+function RestoreRow(id, record, newId, status, message) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    AddMissingColumns(['syncStatus', 'syncError']); // Make sure the sheet has the status columns
+    const values = { id: newId, calendar: record.calendar, seriesId: '', instanceStart: '', syncedRecurrence: record.recurrence || '', delete: false, fingerprint: '', syncStatus: status, syncError: message }; // The values that point the row at the new event
+    const row = FindRowById(id, record.seriesId && !record.recurrence ? record.instanceStart : 0); // Find the row of the event
+    if (row) { // If the row is still in the sheet
+        WriteRowValues(row, values); // Update the row
+        return;
+    }
+    const lastRow = settings.sheet.getLastRow() + 1; // Get the first empty row
+    settings.sheet.getRange(lastRow, 1, 1, settings.columns.width).setValues([EventToRow(Object.assign({}, record, values), settings.columns)]); // Append the event to the sheet
+    settings.sheet.getRange(lastRow, settings.columns.index.start + 1, 1, 1).setNumberFormat(settings.dateFormat); // Format the start time of the row
+    settings.sheet.getRange(lastRow, settings.columns.index.end + 1, 1, 1).setNumberFormat(settings.dateFormat); // Format the end time of the row
+}
+
+/**
+ * Finds the sheet row of an event by its ID, and by its start time for instances of a recurring event.
+ * @return {number} The row number, or 0 if the event is not in the sheet.
+ */
+function FindRowById(id, instanceStart) {
+    const row = GetSettings().events.find(row => String(row.id).trim() == id && (!instanceStart || Number(row.instanceStart) == Number(instanceStart))); // Find the row of the event
+    return row ? row.row : 0; // Return the row number
+}
+
+/**
+ * Writes values keyed by the column schema to a row of the synced sheet, skipping the columns the sheet does not have.
+ */
+function WriteRowValues(row, values) {
+    if (!row) return; // Nothing to write if the row is not in the sheet
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    Object.keys(values).filter(key => settings.columns.index[key] != undefined).forEach(key => settings.sheet.getRange(row, settings.columns.index[key] + 1).setValue(values[key])); // Write each value to its column
+}
+
+/**
+ * Records on a row of the archive sheet that its event was re-created, and the ID of the new event.
+ */
+function MarkArchiveRestored(archive, columns, row, newId) {
+    if (columns.index.restoredAt != undefined) archive.getRange(row, columns.index.restoredAt + 1).setValue(new Date()); // Write the time of the restore
+    if (columns.index.restoredId != undefined) archive.getRange(row, columns.index.restoredId + 1).setValue(newId); // Write the ID of the new event
+}
+
+/****************************************
+            * AUTOMATIC SYNC *
+*****************************************/
+const SYNC_INTERVALS = [5, 10, 15, 30, 60, 120, 240, 360, 720]; // The schedules offered for automatic syncs, in minutes
+const SYNC_CHUNK_SIZE = 50; // Number of rows planned and applied at a time by automatic syncs, between checks of the running time
+const MAX_RUN_TIME = 4.5 * 60 * 1000; // Running time after which an automatic sync saves a checkpoint and resumes in a new run, safely under the 6 minute limit
+
+/**
+ * Displays the automatic sync settings, where the user can install or remove the scheduled and on-edit sync triggers.
+ */
+function ShowTriggerSettings() {
+    const template = HtmlService.createTemplateFromFile('triggerSettings'); // Create an HTML template from the file 'triggerSettings'
+    template.current = GetTriggerSettings(); // Pass the current settings to the template
+    template.intervals = SYNC_INTERVALS; // Pass the available schedules to the template
+    template.sheetName = SpreadsheetApp.getActiveSheet().getName(); // Pass the name of the sheet the triggers will sync
+    SpreadsheetApp.getUi().showModalDialog(template.evaluate().setWidth(400).setHeight(230), 'Automatic Sync'); // Show the dialog with the title 'Automatic Sync'
+}
+
+/**
+ * Reads the installed sync triggers of the current user.
+ * @see https://developers.google.com/apps-script/reference/script/script-app#getprojecttriggers
+ */
+function GetTriggerSettings() {
+    const handlers = ScriptApp.getProjectTriggers().map(trigger => trigger.getHandlerFunction()); // Get the functions run by the installed triggers
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    return {
+        scheduled: handlers.includes('ScheduledSync'), // Whether the scheduled sync is installed
+        interval: Number(properties.getProperty('SYNC_INTERVAL')) || 60, // The schedule of the sync in minutes
+        onEdit: handlers.includes('OnEditSync'), // Whether the on-edit sync is installed
+        sheetName: properties.getProperty('SYNC_SHEET') || '', // The sheet synced by the triggers
+    };
+}
+
+/**
+ * Installs or removes the sync triggers as chosen in the automatic sync settings. The triggers sync the active sheet.
+ * @param {Object} form - The `scheduled` and `onEdit` options and the `interval` in minutes selected in the dialog.
+ * @see https://developers.google.com/apps-script/reference/script/clock-trigger-builder
+ * @see https://developers.google.com/apps-script/reference/script/spreadsheet-trigger-builder#onedit
+ */
+function SaveTriggerSettings(form) {
+    const interval = Number(form.interval); // Get the selected schedule in minutes
+    if (form.scheduled && !SYNC_INTERVALS.includes(interval)) throw new Error('Please select one of the available schedules.'); // Reject schedules that Apps Script does not support
+    DeleteTriggers(['ScheduledSync', 'OnEditSync']); // Remove the triggers installed before
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    properties.setProperty('SYNC_SHEET', SpreadsheetApp.getActiveSheet().getName()); // Remember the sheet synced by the triggers
+    properties.setProperty('SYNC_INTERVAL', String(interval)); // Remember the schedule
+    if (form.scheduled) { // If the scheduled sync is selected
+        const builder = ScriptApp.newTrigger('ScheduledSync').timeBased(); // Create a time-driven trigger
+        if (interval < 60) builder.everyMinutes(interval); // Run it every few minutes
+        else builder.everyHours(interval / 60); // Or every few hours
+        builder.create(); // Install the trigger
+    }
+    if (form.onEdit) { // If the on-edit sync is selected
+        ScriptApp.newTrigger('OnEditSync').forSpreadsheet(SpreadsheetApp.getActive()).onEdit().create(); // Install an on-edit trigger for the spreadsheet
+    }
+}
+
+/**
+ * Removes the current user's triggers that run the given functions.
+ */
+function DeleteTriggers(handlers) {
+    ScriptApp.getProjectTriggers().filter(trigger => handlers.includes(trigger.getHandlerFunction())).forEach(trigger => ScriptApp.deleteTrigger(trigger)); // Delete each matching trigger
+}
+
+/**
+ * Gets the lock that keeps two syncs of the spreadsheet from running at the same time. In a manual run the user is told if another sync is running.
+ * @param {number} timeout - How long to wait for a running sync to finish, in milliseconds.
+ * @return {Lock} The acquired lock, or null if another sync is still running.
+ * @see https://developers.google.com/apps-script/reference/lock/lock-service#getdocumentlock
+ */
+function AcquireSyncLock(timeout) {
+    const lock = LockService.getDocumentLock(); // Get the lock of the spreadsheet
+    if (lock.tryLock(timeout || 10000)) return lock; // Return the lock if no other sync is running
+    DisplayError('Another sync is running at the moment. Please try again in a few minutes.'); // Tell the user that the sync was not started
+    return null; // Return null to indicate that the lock could not be acquired
+}
+
+/**
+ * Gets the settings for a run started by a trigger, on the sheet chosen in the automatic sync settings.
+ * @return {Object} The settings, or null if the sheet or the calendar is not set up.
+ */
+function GetUnattendedSettings() {
+    const sheetName = PropertiesService.getDocumentProperties().getProperty('SYNC_SHEET'); // Get the name of the synced sheet
+    const sheet = sheetName ? SpreadsheetApp.getActive().getSheetByName(sheetName) : null; // Get the synced sheet
+    if (!sheet) { // If the sheet was renamed or deleted
+        Logger.log('The sheet "' + sheetName + '" used by the automatic sync was not found.'); // Log the problem to the execution log
+        return null;
+    }
+    const settings = GetSettings(sheet); // Read the settings for the synced sheet
+    settings.unattended = true; // Send errors to the execution log instead of dialogs
+    if (!CalendarIdExists() || !ColumnsAreValid(true)) return null; // Check that a calendar ID is set and that the sheet has the required headers
+    return settings; // Return the settings
+}
+
+/**
+ * Runs the scheduled sync. This function is run by the time-driven trigger installed in the automatic sync settings.
+ */
+function ScheduledSync() {
+    RunUnattendedSync(); // Sync the sheet, continuing from the last checkpoint if there is one
+}
+
+/**
+ * Continues a sync that stopped at a checkpoint. This function is run by a one-off trigger installed by SaveCheckpoint.
+ */
+function ResumeSync() {
+    DeleteTriggers(['ResumeSync']); // Remove the one-off trigger that started this run
+    RunUnattendedSync(); // Continue the sync from the last checkpoint
+}
+
+/**
+ * Syncs the whole sheet without a user interface. Rows are planned and applied in chunks; when the run gets close to the execution time limit, the next row is saved as a checkpoint and a new run is scheduled to continue from there.
+ * Conflicts are never asked about: with the 'ask' policy they are flagged in the sheet.
+ */
+function RunUnattendedSync() {
+    const startTime = Date.now(); // Remember when the run started
+    const lock = LockService.getDocumentLock(); // Get the lock of the spreadsheet
+    if (!lock.tryLock(1000)) { // If another sync is running
+        Logger.log('Skipped the automatic sync because another sync is running.'); // Log why nothing was done
+        return;
+    }
+    try { // Try to run the sync while holding the lock
+        const settings = GetUnattendedSettings(); // Get the settings of the synced sheet
+        if (!settings) return; // Stop here if the sheet or the calendar is not set up
+        const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+        const checkpoint = Number(properties.getProperty('SYNC_CHECKPOINT')) || 2; // Get the row to continue from, or the first row
+        settings.logStarted = checkpoint > 2; // A resumed round adds its changes to the log of the runs before it
+        const rows = settings.events.filter(value => value.title != ''); // Filter out empty rows from the events data
+        const pending = rows.filter(row => row.row >= checkpoint); // Get the rows that have not been synced in this round yet
+        for (let i = 0; i < pending.length; i += SYNC_CHUNK_SIZE) { // Iterate through the rows a chunk at a time
+            if (Date.now() - startTime > MAX_RUN_TIME) { // If the run is close to the time limit
+                SaveCheckpoint(pending[i].row); // Continue from this row in a new run
+                return;
+            }
+            const plan = PlanRows(pending.slice(i, i + SYNC_CHUNK_SIZE)); // Work out the changes for the chunk
+            ApplyPlan(plan); // Apply the changes
+            WriteSyncResults(plan); // Write the status of the rows to the sheet
+        }
+        if (Date.now() - startTime > MAX_RUN_TIME) { // If the run is too close to the time limit to look for the events to import
+            SaveCheckpoint(rows.length > 0 ? rows[rows.length - 1].row + 1 : 2); // Continue after the last row in a new run, which only imports the events
+            return;
+        }
+        const imports = PlanImports(rows); // Find the calendar events that are not in the sheet yet
+        ApplyPlan(imports); // Append them to the sheet
+        WriteSyncResults(imports); // Write their status to the sheet
+        GetBackend().saveSyncState(); // Remember that the calendar changes read for this round have been synced
+        properties.deleteProperty('SYNC_CHECKPOINT'); // The round is complete, so the next run starts from the first row
+    }
+    finally { // Always release the lock, even if the sync failed
+        lock.releaseLock(); // Let the next sync run
+    }
+}
+
+/**
+ * Saves the row an unattended sync should continue from, and schedules a one-off run to continue it in a minute.
+ * @see https://developers.google.com/apps-script/reference/script/clock-trigger-builder#after(Integer)
+ */
+function SaveCheckpoint(row) {
+    PropertiesService.getDocumentProperties().setProperty('SYNC_CHECKPOINT', String(row)); // Remember the row to continue from
+    DeleteTriggers(['ResumeSync']); // Make sure only one run is scheduled
+    ScriptApp.newTrigger('ResumeSync').timeBased().after(60 * 1000).create(); // Schedule the run that continues the sync
+}
+
+/**
+ * Pushes the edited rows to the calendar. This function is run by the installable on-edit trigger installed in the automatic sync settings.
+ * Rows without a title or a start date are skipped, so that events are not created while a row is still being typed.
+ * @param {Object} e - The edit event, with the edited `range`.
+ * @see https://developers.google.com/apps-script/guides/triggers/events#edit
+ */
+function OnEditSync(e) {
+    const sheet = e.range.getSheet(); // Get the edited sheet
+    if (sheet.getName() != PropertiesService.getDocumentProperties().getProperty('SYNC_SHEET') || e.range.getLastRow() < 2) return; // Ignore edits outside the event rows of the synced sheet
+    const lock = LockService.getDocumentLock(); // Get the lock of the spreadsheet
+    if (!lock.tryLock(30000)) return; // Leave the edit to the next scheduled sync if another sync is still running
+    try { // Try to run the sync while holding the lock
+        const settings = GetUnattendedSettings(); // Get the settings of the synced sheet
+        if (!settings) return; // Stop here if the sheet or the calendar is not set up
+        const syncColumns = ['syncStatus', 'syncError', 'lastSynced', 'fingerprint'].map(key => settings.columns.index[key] + 1); // Get the columns written by the synchronizer
+        const editedColumns = []; // Initialize the list of edited columns
+        for (let column = e.range.getColumn(); column <= e.range.getLastColumn(); column++) editedColumns.push(column); // List each edited column
+        if (editedColumns.every(column => syncColumns.includes(column))) return; // Ignore edits of the status columns only
+        const rows = settings.events.filter(row => row.row >= e.range.getRow() && row.row <= e.range.getLastRow() && row.title != '' && row.start instanceof Date); // Get the edited rows that are ready to sync
+        const plan = PlanRows(rows); // Work out the changes for the edited rows
+        ApplyPlan(plan); // Apply the changes
+        WriteSyncResults(plan); // Write the status of the rows to the sheet
+    }
+    finally { // Always release the lock, even if the sync failed
+        lock.releaseLock(); // Let the next sync run
+    }
+}
+
+/****************************************
+            * VALIDATION *
+*****************************************/
+const GUEST_STATUSES = ['OWNER', 'INVITED', 'YES', 'NO', 'MAYBE']; // The values accepted in the Attending? column
+const FALSE_STRINGS = ['false', 'no', 'n', '0', '']; // The text values read as false by ToBoolean, besides unchecked checkboxes
+const EMAIL_PATTERN = /^[^\s@,;()<>]+@[^\s@,;()<>]+\.[^\s@,;()<>]+$/; // A loose check of an email address
+const INVALID_CELL_COLOR = '#f4cccc'; // Background color of the cells that failed validation
+const INVALID_NOTE_PREFIX = 'Invalid: '; // Start of the notes added to the cells that failed validation, so they can be told from the user's notes
+
+/**
+ * This function is triggered when the user selects the "Validate Rows" option from the custom menu. It checks every row without syncing, highlights the invalid cells and lists the problems.
+ */
+function ValidateSheet() {
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema, if not, display an error message and return
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const results = settings.events.filter(value => value.title != '').map(row => { // Check each row with a title
+        const problems = ValidateRow(row); // Get the problems of the row
+        return { event: { row: row.row }, problems: problems, message: FormatProblems(problems) }; // Keep them in the form of a plan entry
+    });
+    MarkInvalidCells(results); // Highlight the invalid cells and clear the old highlights
+    const invalid = results.filter(result => result.problems.length > 0); // Get the invalid rows
+    if (invalid.length == 0) { // If every row is valid
+        SpreadsheetApp.getUi().alert('Validate Rows', `All ${results.length} row(s) are valid.`, SpreadsheetApp.getUi().ButtonSet.OK); // Tell the user
+        return;
+    }
+    const sheetName = settings.sheet.getName(); // Get the name of the sheet for the row links
+    const html = `<div style="font-family: 'Poppins';"><p>${invalid.length} of ${results.length} row(s) are invalid and will not be synced until they are fixed:</p><ul>` + invalid.map(result => `<li><a href="#" onclick="google.script.run.GoToRow(${EscapeHtml(JSON.stringify(sheetName))}, ${result.event.row}); return false;">Row ${result.event.row}</a>: ${EscapeHtml(result.message)}</li>`).join('') + '</ul></div>'; // Link to each invalid row with its problems
+    SpreadsheetApp.getUi().showModalDialog(HtmlService.createHtmlOutput(html).setWidth(400).setHeight(360), 'Validation Report'); // Show the dialog with the report
+}
+
+/**
+ * Checks the values of a row before it is synced: the types of the dates and checkboxes, the order of the start and end times, the guest emails, the color, the attending status and the other optional columns.
+ * Rows to be deleted only need an ID, so they are not checked.
+ * @param {Object} row - The row read by ReadEventRows.
+ * @return {Object[]} The problems of the row, each with the `key` of the column and a `message`; empty if the row is valid.
+ */
+function ValidateRow(row) {
+    const problems = []; // Initialize the list of problems
+    const check = (key, test) => { // Helper to run a check and record its problem, if any
+        try { // Try the check, since the column parsers throw errors for invalid values
+            const message = test(); // Run the check
+            if (message) problems.push({ key: key, message: message }); // Record the problem
+        }
+        catch (e) { // Catch the errors of the parsers
+            problems.push({ key: key, message: ErrorMessage(e) }); // Record the error as the problem
+        }
+    };
+    const isDate = value => value instanceof Date && !isNaN(value.getTime()); // Helper to check that a cell holds a date
+    const header = key => COLUMNS.find(col => col.key == key).header; // Helper to get the header of a column
+
+    if (ToBoolean(row.delete) && String(row.id).trim() != '') return problems; // Rows to be deleted only need their ID
+
+    check('start', () => isDate(row.start) ? '' : 'The Start Date is not a date.'); // Check the start time
+    check('end', () => isDate(row.end) ? '' : 'The End Date is not a date.'); // Check the end time
+    check('end', () => { // Check the order of the start and end times
+        if (!isDate(row.start) || !isDate(row.end)) return ''; // The types were already checked
+        if (ToBoolean(row.allDay)) { // All-day events may end on the day they start
+            return CellToDay(row.end) < CellToDay(row.start) ? 'The End Date is before the Start Date.' : ''; // The end must not be before the start day
+        }
+        return row.end > row.start ? '' : 'The End Date must be after the Start Date.'; // Timed events must end after they start
+    });
+    check('timeZone', () => { // Check the time zone of the row
+        const timeZone = row.timeZone == undefined ? '' : String(row.timeZone).trim(); // Get the time zone of the row
+        return timeZone == '' || IsTimeZone(timeZone) ? '' : `Unknown time zone "${timeZone}". Use an IANA name such as Europe/Paris.`; // Accept the IANA time zone names
+    });
+    ['allDay', 'sendInvites', 'removeGuests', 'delete', 'guestsCanModify', 'guestsCanInviteOthers', 'guestsCanSeeGuests'].forEach(key => check(key, () => { // Check each checkbox column
+        const value = row[key]; // Get the value of the cell
+        if (value == undefined || typeof value == 'boolean' || ToBoolean(value) || FALSE_STRINGS.includes(String(value).trim().toLowerCase())) return ''; // Accept checkboxes and the usual true and false strings
+        return `The ${header(key)} column must be TRUE or FALSE, not "${value}".`; // Reject the other values
+    }));
+    check('guests', () => { // Check the guest emails
+        const invalid = UnknownGuests(row.guests); // Get the guests that are neither emails nor groups
+        return invalid.length > 0 ? `Invalid guest email(s) or unknown group(s) of the "${GROUPS_SHEET_NAME}" sheet: ` + invalid.join(', ') + '.' : ''; // List the invalid emails
+    });
+    check('myStatus', () => { // Check the attending status
+        const status = String(row.myStatus || '').trim().toUpperCase(); // Get the status in upper case
+        return status == '' || GUEST_STATUSES.includes(status) ? '' : 'The Attending? column must be one of: ' + GUEST_STATUSES.join(', ') + '.'; // Accept the known statuses
+    });
+    check('color', () => { // Check the color ID
+        if (row.color == undefined || String(row.color).trim() == '') return ''; // An empty or absent color keeps the calendar's color
+        const color = Number(row.color); // Get the color ID as a number
+        return Number.isInteger(color) && color >= 1 && color <= 11 ? '' : 'The Tag / Color column must be a whole number from 1 to 11.'; // Accept the calendar color IDs
+    });
+    check('applyTo', () => /^\s*(this|series)?\s*$/i.test(String(row.applyTo || '')) ? '' : 'The Apply To column must be "this" or "series".'); // Check the Apply To column
+    check('recurrence', () => { NormalizeRRule(row.recurrence); }); // Check the recurrence rule
+    check('popupReminders', () => { ParseReminders(row.popupReminders, header('popupReminders')); }); // Check the popup reminders
+    check('emailReminders', () => { ParseReminders(row.emailReminders, header('emailReminders')); }); // Check the email reminders
+    check('visibility', () => { ParseChoice(row.visibility, EVENT_VISIBILITIES, header('visibility')); }); // Check the visibility
+    check('showAs', () => { ParseChoice(row.showAs, EVENT_SHOW_AS, header('showAs')); }); // Check the transparency
+    check('calendar', () => { ResolveCalendarId(row.calendar); }); // Check the calendar
+    check('meetingLink', () => { // Check the meeting link
+        const link = row.meetingLink == undefined ? '' : String(row.meetingLink).trim(); // Get the meeting link of the row
+        if (link == '') return ''; // An empty link keeps the calendar's link
+        if (link.toLowerCase() == 'new') return typeof Calendar == 'undefined' ? 'Turn on the Google Calendar advanced service in the script editor to add meeting links.' : ''; // New links are created with the advanced service
+        if (String(row.id).trim() == '' || !/^https?:\/\/\S+$/i.test(link)) return MEETING_LINK_PROBLEM; // New events have no link to keep, and other values are not links
+        return ''; // Accept the link of an existing event, which PlanRows compares with the calendar's link
+    });
+    return problems; // Return the list of problems
+}
+
+/**
+ * Joins the problems of a row into one message, e.g. for the Sync Error column.
+ */
+function FormatProblems(problems) {
+    return problems.map(problem => problem.message).join(' '); // Join the messages of the problems
+}
+
+/**
+ * Highlights the cells of invalid rows with a red background and a note explaining the problem, and removes the highlights of the given rows that are valid now.
+ * Notes written by the user are never overwritten.
+ * @param {Object[]} entries - Plan entries (or validation results) with the sheet row in `event.row` and the `problems` of invalid rows.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/range#setnotes(Object)
+ */
+function MarkInvalidCells(entries) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.sheet; // Get the active sheet in the spreadsheet
+    const columns = settings.columns; // Get the column map of the active sheet
+    const lastRow = sheet.getLastRow(); // Get the last row that contains data
+    const rows = entries.filter(entry => entry.event.row >= 2 && entry.event.row <= lastRow); // Get the entries of rows in the sheet
+    if (rows.length == 0 || columns.width == 0) return; // Nothing to mark if no rows were checked
+    const range = sheet.getRange(2, 1, lastRow - 1, columns.width); // Get the range of the event rows
+    const notes = range.getNotes(); // Get the notes of the rows
+    const backgrounds = range.getBackgrounds(); // Get the background colors of the rows
+    rows.forEach(entry => { // Iterate through each checked row
+        const i = entry.event.row - 2; // Get the index of the row in the range
+        backgrounds[i].forEach((color, j) => { if (color == INVALID_CELL_COLOR) backgrounds[i][j] = null; }); // Clear the old highlights
+        notes[i].forEach((note, j) => { if (String(note).startsWith(INVALID_NOTE_PREFIX)) notes[i][j] = ''; }); // Clear the old notes
+        (entry.problems || []).forEach(problem => { // Iterate through each problem of the row
+            const j = columns.index[problem.key]; // Get the column of the problem
+            if (j == undefined) return; // Skip the columns the sheet does not have
+            backgrounds[i][j] = INVALID_CELL_COLOR; // Highlight the cell
+            if (notes[i][j] == '') notes[i][j] = INVALID_NOTE_PREFIX + problem.message; // Explain the problem, unless the cell has a note of the user
+            else if (notes[i][j].startsWith(INVALID_NOTE_PREFIX)) notes[i][j] += '\n' + problem.message; // Add the problem to the note of another problem of the cell
+        });
+    });
+    range.setNotes(notes); // Write the notes
+    range.setBackgrounds(backgrounds); // Write the background colors
+    if (rows.some(entry => entry.problems && entry.problems.length > 0)) ApplyDataValidation(); // Add dropdowns to help fix the invalid values
+}
+
+/**
+ * Adds dropdowns with the accepted values to the columns that only take a few values (Attending?, Tag / Color, Visibility, Show As and Apply To). Other values are still allowed but show a warning.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/data-validation-builder#requirevalueinlistvalues,-showdropdown
+ */
+function ApplyDataValidation() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.sheet; // Get the active sheet in the spreadsheet
+    const lists = { // The accepted values of each column
+        myStatus: GUEST_STATUSES, // The attending statuses
+        color: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11'], // The calendar color IDs
+        visibility: Object.keys(EVENT_VISIBILITIES), // The visibilities
+        showAs: Object.keys(EVENT_SHOW_AS), // The transparencies
+        applyTo: ['this', 'series'], // The targets of the changes to an instance
+    };
+    Object.keys(lists).filter(key => settings.columns.index[key] != undefined).forEach(key => { // Iterate through each column the sheet has
+        const rule = SpreadsheetApp.newDataValidation().requireValueInList(lists[key], true).setAllowInvalid(true).build(); // Build a dropdown that warns about other values
+        sheet.getRange(2, settings.columns.index[key] + 1, sheet.getMaxRows() - 1, 1).setDataValidation(rule); // Add the dropdown to the column below the header
+    });
+}
+
+/****************************************
+            * PREVIEW CHANGES *
+*****************************************/
+const PREVIEW_SHEET_NAME = 'Sync Preview'; // Name of the sheet the preview of a sync is written to
+
+/**
+ * This function is triggered when the user selects the "Preview Changes" option from the custom menu. It works out what "Update Calendar" would do without writing anything, lists every create, update and delete on the "Sync Preview" sheet, and then asks the user to confirm before running the real sync.
+ * @see https://developers.google.com/apps-script/reference/base/ui#alert(String,String,ButtonSet)
+ */
+function PreviewChanges() {
+    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema before planning the sync
+    if (!CheckTimeZones()) return; // Warn the user if the sheet, the script and the calendar use different time zones
+    GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.sheet; // Get the sheet being previewed, to plan it again after the user confirms
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const filteredCsvEv = settings.events.filter(value => value.title != ''); // Filter out empty rows from the events data
+    const plan = PlanSync(filteredCsvEv); // Work out the changes for every row without applying them
+    const count = action => plan.filter(entry => entry.action == action).length; // Helper to count the planned changes of one kind
+    if (plan.every(entry => entry.action == 'unchanged')) { // If there is nothing to change
+        ui.alert('Preview Changes', 'The calendar is already up to date with the sheet.', ui.ButtonSet.OK); // Tell the user there is nothing to sync
+        return;
+    }
+
+    WritePreviewSheet(plan); // List the planned changes and the problems of the invalid rows on the preview sheet, leaving the event sheet untouched
+    const response = ui.alert('Preview Changes', `${count('create')} event(s) will be created, ${count('update') + count('move')} updated and ${count('delete')} deleted in the calendar; ${count('pull')} row(s) will be updated and ${count('import')} added from the calendar; ${count('conflict')} row(s) have conflicts, ${count('invalid')} are invalid and ${count('error')} have errors. See the "${PREVIEW_SHEET_NAME}" sheet for the details.\n\nDo you want to apply these changes to the calendar now?`, ui.ButtonSet.YES_NO); // Ask the user to confirm the changes
+    sheet.activate(); // Switch back to the event sheet
+    if (response != ui.Button.YES) return; // Stop here if the user did not confirm
+    const lock = AcquireSyncLock(); // Make sure no other sync is running
+    if (!lock) return; // Stop here if another sync is running
+    try { // Try to run the sync while holding the lock
+        settings = null; // Forget the rows and calendar changes read for the preview
+        GetSettings(sheet); // Read the sheet again now that no other sync can change it
+        const freshPlan = PlanSync(settings.events.filter(value => value.title != '')); // Plan the sync again from the current sheet and calendar
+        if (PlanSignature(freshPlan) != PlanSignature(plan)) { // If the sheet or the calendar changed while the preview was shown
+            ui.alert('Preview Changes', `The sheet or the calendar changed since the preview, so nothing was applied. Run "Preview Changes" again to see the current changes.`, ui.ButtonSet.OK); // Refuse to apply changes the user has not seen
+            return;
+        }
+        AskConflicts(freshPlan); // Let the user resolve the conflicts if the policy is to ask
+        ApplySync(freshPlan); // Apply the previewed changes to the calendar
+    }
+    finally { // Always release the lock, even if the sync failed
+        lock.releaseLock(); // Let the next sync run
+    }
+}
+
+/**
+ * Describes what a sync plan does to each row, so that two plans of the same sheet can be compared.
+ * @param {Object[]} plan - The plan returned by PlanSync.
+ * @return {string} The row, action, event ID and changed values of every entry.
+ */
+function PlanSignature(plan) {
+    return JSON.stringify(plan.map(entry => [entry.event.row, entry.action, entry.event.id, entry.changes.map(change => [change.field, change.newValue])])); // Leave out the calendar events, which are new objects in every plan
+}
+
+/**
+ * Writes a sync plan to the preview sheet, one line per created or deleted event and one line per changed field of an updated event. Deleted events are highlighted in red.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/spreadsheet#insertsheet(String)
+ */
+function WritePreviewSheet(plan) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.spreadSheet.getSheetByName(PREVIEW_SHEET_NAME) || settings.spreadSheet.insertSheet(PREVIEW_SHEET_NAME); // Get the preview sheet, creating it if it does not exist
+    const data = [['Row', 'Action', 'Event ID', 'Title', 'Field', 'Old Value', 'New Value']]; // Initialize the data with the header row
+    const backgrounds = [new Array(data[0].length).fill('#d9d9d9')]; // Initialize the background colors with the header color
+    const colors = { create: '#d9ead3', update: '#fff2cc', move: '#fff2cc', delete: '#f4cccc', pull: '#cfe2f3', import: '#cfe2f3', removed: '#f4cccc', conflict: '#f9cb9c', error: '#ea9999', invalid: '#ea9999' }; // Background color of each kind of change
+
+    plan.forEach(entry => { // Iterate through each planned change
+        const event = entry.event; // Get the event parsed from the row
+        const time = event.start ? FormatTimeRange(event.start, event.end, event.allDay) : ''; // Format the time of the event for display
+        if (entry.action == 'create') data.push([event.row, 'Create', '', event.title, '', '', time]); // List the event to be created
+        else if (entry.action == 'delete') data.push([event.row, 'Delete', event.id, entry.calendarEvent.getTitle(), '', time, '']); // List the event to be deleted
+        else if (entry.action == 'error') data.push([event.row, 'Error', event.id, event.title, '', '', entry.message]); // List the row that cannot be synced with its error
+        else if (entry.action == 'invalid') entry.problems.forEach(problem => data.push([event.row, 'Invalid', event.id, event.title, COLUMNS.find(col => col.key == problem.key).header, '', problem.message])); // List each problem of the row that is blocked from the sync
+        else if (entry.action == 'import') data.push(['', 'Import', event.id, event.title, '', '', time]); // List the calendar event to be added to the sheet
+        else if (entry.action == 'move') data.push([event.row, 'Move', event.id, event.title, 'Calendar', CalendarLabel(entry.fromCalendarId) || entry.fromCalendarId, CalendarLabel(event.calendarId) || event.calendarId]); // List the event to be moved to another calendar
+        else if (entry.action == 'removed') data.push([event.row, 'Deleted in calendar', event.id, event.title, '', time, '']); // List the row whose event was deleted in the calendar
+        else if (entry.action == 'pull') entry.changes.forEach(change => data.push([event.row, 'Pull', event.id, event.title, change.field, change.newValue, change.oldValue])); // List each field of the row to be updated from the calendar (sheet value vs calendar value)
+        else if (entry.action == 'conflict') (entry.changes.length > 0 ? entry.changes : [{ field: 'Deleted in calendar', oldValue: '', newValue: '' }]).forEach(change => data.push([event.row, 'Conflict', event.id, event.title, change.field, change.oldValue, change.newValue])); // List each field changed on both sides (calendar value vs sheet value)
+        else if (entry.action == 'update') entry.changes.forEach(change => data.push([event.row, 'Update', event.id, event.title, change.field, change.oldValue, change.newValue])); // List each changed field of the event to be updated
+        else return; // Skip rows that will not change
+        while (backgrounds.length < data.length) backgrounds.push(new Array(data[0].length).fill(colors[entry.action])); // Color the lines that were just added
+    });
+
+    sheet.clear(); // Clear the previous preview
+    sheet.getRange(1, 1, data.length, data[0].length).setValues(data).setBackgrounds(backgrounds); // Write the preview to the sheet
+    sheet.getRange(1, 1, 1, data[0].length).setFontWeight('bold'); // Make the header row bold
+    sheet.setFrozenRows(1); // Freeze the header row
+    sheet.activate(); // Show the preview sheet to the user
+}
+
+/**
+ * Formats the time of an event for display, e.g. in the preview sheet.
+ * @see https://developers.google.com/apps-script/reference/utilities/utilities#formatDate(Date,String,String)
+ */
+function FormatTimeRange(start, end, isAllDay) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const timeZone = isAllDay ? settings.scriptTimeZone : settings.timeZone; // Show the dates of all-day events as they are kept, and the other times in the sheet's time zone
+    const format = isAllDay ? 'dd/MM/yyyy' : 'dd/MM/yyyy HH:mm'; // Leave out the time for all-day events
+    return Utilities.formatDate(start, timeZone, format) + ' - ' + Utilities.formatDate(end, timeZone, format) + (isAllDay ? ' (all day)' : ''); // Return the formatted start and end
+}
+
+/****************************************
+            * RECURRENCE *
+*****************************************/
+const RRULE_FREQUENCIES = { DAILY: 'addDailyRule', WEEKLY: 'addWeeklyRule', MONTHLY: 'addMonthlyRule', YEARLY: 'addYearlyRule' }; // The RRULE frequencies and the recurrence methods that add them
+const RRULE_WEEKDAYS = { SU: 'SUNDAY', MO: 'MONDAY', TU: 'TUESDAY', WE: 'WEDNESDAY', TH: 'THURSDAY', FR: 'FRIDAY', SA: 'SATURDAY' }; // The RRULE weekday codes and their CalendarApp.Weekday names
+const RRULE_MONTHS = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER']; // The CalendarApp.Month names, in RRULE month order
+
+/**
+ * Parses an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" into an object keyed by the rule part names. A leading "RRULE:" is ignored.
+ * Only the parts the synchronizer can create are accepted: FREQ, INTERVAL, COUNT, UNTIL, BYDAY (without ordinals such as 2TU), BYMONTHDAY, BYMONTH and WKST.
+ * @throws {Error} If the rule is malformed or uses a part that is not supported.
+ */
+function ParseRRule(text) {
+    const rule = {}; // Initialize the rule parts
+    String(text).trim().replace(/^RRULE:/i, '').split(';').filter(part => part.trim() != '').forEach(part => { // Iterate through each part of the rule
+        const pair = part.split('='); // Split the part name from its value
+        if (pair.length != 2 || pair[1].trim() == '') throw new Error('Invalid recurrence part "' + part + '".'); // Fail for parts without a value
+        rule[pair[0].trim().toUpperCase()] = pair[1].trim().toUpperCase(); // Store the part
+    });
+    if (!RRULE_FREQUENCIES[rule.FREQ]) throw new Error('The recurrence needs a FREQ of DAILY, WEEKLY, MONTHLY or YEARLY.'); // Fail without a supported frequency
+    Object.keys(rule).forEach(name => { // Check each part name
+        if (!['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'].includes(name)) throw new Error('The recurrence part ' + name + ' is not supported.'); // Fail for unsupported parts
+    });
+    if (rule.COUNT && rule.UNTIL) throw new Error('The recurrence cannot have both COUNT and UNTIL.'); // Fail for rules that end twice
+    ['INTERVAL', 'COUNT'].forEach(name => { if (rule[name] && !/^[1-9]\d*$/.test(rule[name])) throw new Error('The recurrence ' + name + ' must be a positive number.'); }); // Check the numeric parts
+    if (rule.UNTIL && isNaN(ParseICalDate(rule.UNTIL))) throw new Error('The recurrence UNTIL must be a date such as 20251231 or 20251231T235959Z.'); // Check the end date
+    if (rule.BYDAY && !rule.BYDAY.split(',').every(day => RRULE_WEEKDAYS[day])) throw new Error('The recurrence BYDAY must list weekdays such as MO,WE,FR.'); // Check the weekdays
+    if (rule.BYMONTHDAY && !rule.BYMONTHDAY.split(',').every(day => /^-?\d+$/.test(day) && Math.abs(day) >= 1 && Math.abs(day) <= 31)) throw new Error('The recurrence BYMONTHDAY must list days from 1 to 31.'); // Check the month days
+    if (rule.BYMONTH && !rule.BYMONTH.split(',').every(month => /^\d+$/.test(month) && month >= 1 && month <= 12)) throw new Error('The recurrence BYMONTH must list months from 1 to 12.'); // Check the months
+    return rule; // Return the rule parts
+}
+
+/**
+ * Normalizes the value of the Recurrence column: upper case, without the "RRULE:" prefix and spaces, and checked with ParseRRule. Returns an empty string for rows without a recurrence.
+ */
+function NormalizeRRule(value) {
+    const text = value == undefined ? '' : String(value).replace(/\s+/g, '').replace(/^RRULE:/i, '').toUpperCase(); // Remove the spaces and the prefix
+    if (text == '') return ''; // The row is a single event
+    ParseRRule(text); // Check that the rule is valid and supported
+    return text; // Return the normalized rule
+}
+
+/**
+ * Parses an iCalendar date ("20251231") or date-time ("20251231T090000" in local time, or "20251231T090000Z" in UTC).
+ * @return {Date} The date, or an invalid date if the text is not in one of those forms.
+ */
+function ParseICalDate(text) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(text).trim()); // Split the date into its parts
+    if (!match) return new Date(NaN); // Return an invalid date if the text is not an iCalendar date
+    const parts = match.slice(1, 7).map(part => Number(part || 0)); // Convert the parts to numbers
+    if (match[7]) return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5])); // Return a UTC date-time
+    return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]); // Return a local date or date-time
+}
+
+/**
+ * Builds a CalendarApp recurrence from an RRULE string.
+ * @see https://developers.google.com/apps-script/reference/calendar/recurrence-rule
+ */
+function BuildRecurrence(text) {
+    const rule = ParseRRule(text); // Parse and check the rule
+    let recurrence = CalendarApp.newRecurrence()[RRULE_FREQUENCIES[rule.FREQ]](); // Add a rule with the frequency
+    if (rule.INTERVAL) recurrence = recurrence.interval(Number(rule.INTERVAL)); // Repeat every few days, weeks, months or years
+    if (rule.COUNT) recurrence = recurrence.times(Number(rule.COUNT)); // End after a number of occurrences
+    if (rule.UNTIL) recurrence = recurrence.until(ParseICalDate(rule.UNTIL)); // End on a date
+    if (rule.BYDAY) recurrence = recurrence.onlyOnWeekdays(rule.BYDAY.split(',').map(day => CalendarApp.Weekday[RRULE_WEEKDAYS[day]])); // Only repeat on some weekdays
+    if (rule.BYMONTHDAY) recurrence = recurrence.onlyOnMonthDays(rule.BYMONTHDAY.split(',').map(Number)); // Only repeat on some days of the month
+    if (rule.BYMONTH) recurrence = recurrence.onlyOnMonths(rule.BYMONTH.split(',').map(month => CalendarApp.Month[RRULE_MONTHS[month - 1]])); // Only repeat in some months
+    if (rule.WKST) recurrence = recurrence.weekStartsOn(CalendarApp.Weekday[RRULE_WEEKDAYS[rule.WKST]]); // Set the first day of the week
+    return recurrence; // Return the recurrence
+}
+
+/**
+ * Sets the recurrence and the time of a whole event series from a series row.
+ * @throws {Error} If the row has no recurrence, e.g. an instance row asking to change the time of its whole series.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event-series#setrecurrence(EventRecurrence,Date,Date)
+ */
+function SetSeriesRecurrence(series, event) {
+    if (!event.recurrence) throw new Error('Fill in the Recurrence column to change the time of the whole series.'); // The time of a series cannot be set without its recurrence
+    const recurrence = GetBackend().newRecurrence(event.recurrence); // Build the recurrence from the RRULE
+    if (event.allDay) series.setRecurrence(recurrence, event.start); // Set the recurrence of an all-day series
+    else series.setRecurrence(recurrence, event.start, event.end); // Set the recurrence and the time of the series
+}
+
+/****************************************
+            * ICS FILES *
+*****************************************/
+const ICS_PRODID = '-//Google Sheets Calendar Synchronizer//EN'; // The product identifier written to exported ICS files
+const ICS_UID_DOMAIN = 'google-sheets-calendar-synchronizer'; // The domain of the UIDs given to exported rows that have no event ID yet
+const ICS_PARTSTATS = { 'NEEDS-ACTION': 'invited', ACCEPTED: 'yes', DECLINED: 'no', TENTATIVE: 'maybe' }; // The iCalendar attendee statuses and the guest statuses written to the Guests column
+
+/**
+ * This function is triggered when the user selects "ICS File > Import" from the custom menu. It displays a dialog to upload an ICS file, whose events are added below the rows of the sheet.
+ */
+function ShowIcsImport() {
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema, if not, display an error message and return
+    const html = HtmlService.createTemplateFromFile('icsImport').evaluate().setWidth(400).setHeight(170); // Create an HTML template from the file 'icsImport' and set its width and height
+    SpreadsheetApp.getUi().showModalDialog(html, 'Import ICS File'); // Show the dialog with the title 'Import ICS File'
+}
+
+/**
+ * Adds the events of an ICS file below the rows of the sheet, in the same columns as AddEventsToSheet. The new rows have no event ID, so the next sync creates their events in the calendar.
+ * @param {string} text - The content of the ICS file uploaded in the dialog.
+ * @return {string} A message telling the user how many events were imported.
+ */
+function ImportIcsFile(text) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const sheet = settings.sheet; // Get the active sheet in the spreadsheet
+    const events = ParseIcs(text); // Parse the events of the file
+    if (events.length == 0) throw new Error('The file does not contain any events.'); // Stop here if there is nothing to import
+    const lock = LockService.getDocumentLock(); // Get the lock of the spreadsheet, so that the rows are not added while a sync writes to the sheet
+    if (!lock.tryLock(10000)) throw new Error('Another sync is running at the moment. Please try again in a few minutes.'); // Stop here if another sync is running
+    try { // Try to add the rows while holding the lock
+        if (events.some(event => event.recurrence)) AddMissingColumns(['recurrence']); // Add the Recurrence column if any event repeats
+        const columns = settings.columns; // Get the column map of the active sheet
+        const firstRow = sheet.getLastRow() + 1; // Get the first empty row
+        const toCell = (event, date) => event.allDay ? DayToCell(date) : DateToCell(date, settings.timeZone); // Helper to show a date of the file as the sheet reads it
+        const data = events.map(event => EventToRow(Object.assign({}, event, { start: toCell(event, event.start), end: toCell(event, event.end), guests: event.guests.join(', ') }), columns)); // Convert each event to a row in the sheet's column order
+        sheet.getRange(firstRow, 1, data.length, columns.width).setValues(data); // Write the rows below the last row
+        sheet.getRange(firstRow, columns.index.start + 1, data.length, 1).setNumberFormat(settings.dateFormat); // Format the start times of the new rows
+        sheet.getRange(firstRow, columns.index.end + 1, data.length, 1).setNumberFormat(settings.dateFormat); // Format the end times of the new rows
+    }
+    finally { // Always release the lock
+        lock.releaseLock(); // Let the next sync run
+    }
+    return `${events.length} event(s) were added to the sheet. Use Update Calendar to create them in the calendar.`; // Tell the user what was imported
+}
+
+/**
+ * This function is triggered when the user selects "ICS File > Export" from the custom menu. It displays a dialog to download the rows of the sheet as an ICS file or save it to Google Drive.
+ */
+function ShowIcsExport() {
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema, if not, display an error message and return
+    const exported = ExportIcs(); // Build the ICS file from the rows of the sheet
+    const template = HtmlService.createTemplateFromFile('icsExport'); // Create an HTML template from the file 'icsExport'
+    template.fileName = IcsFileName(); // Pass the name of the file to the template
+    template.content = exported.text; // Pass the content of the file to the template
+    template.count = exported.count; // Pass the number of exported events to the template
+    template.skipped = exported.skipped; // Pass the rows that could not be exported to the template
+    SpreadsheetApp.getUi().showModalDialog(template.evaluate().setWidth(400).setHeight(200), 'Export ICS File'); // Show the dialog with the title 'Export ICS File'
+}
+
+/**
+ * Saves the rows of the sheet as an ICS file in the user's Google Drive.
+ * @return {string} The URL of the new file.
+ * @see https://developers.google.com/apps-script/reference/drive/drive-app#createfile(String,String,String)
+ */
+function SaveIcsToDrive() {
+    const file = DriveApp.createFile(IcsFileName(), ExportIcs().text, 'text/calendar'); // Create the file in the root folder of the user's Drive
+    return file.getUrl(); // Return the link to the file
+}
+
+/**
+ * Builds an ICS file from the rows of the sheet. Rows marked for deletion are left out, as are rows that cannot be read.
+ * @return {Object} The `text` of the file, the number of exported events (`count`) and the numbers of the rows that could not be read (`skipped`).
+ */
+function ExportIcs() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const events = []; // Initialize the list of events to export
+    const skipped = []; // Initialize the list of rows that could not be read
+    settings.events.filter(row => row.title != '').forEach(row => { // Iterate through each row with a title
+        try { // Try to read the row
+            const event = ParseEventRow(row); // Convert the row values to the event fields
+            if (isNaN(event.start.getTime()) || isNaN(event.end.getTime())) throw new Error('Invalid date'); // Rows without valid dates cannot be exported
+            if (!event.delete) events.push(event); // Export the rows that are not marked for deletion
+        }
+        catch (e) { // Catch any errors that occur while reading the row
+            skipped.push(row.row); // Remember the row that was left out
+        }
+    });
+    return { text: SerializeIcs(events), count: events.length, skipped: skipped }; // Return the file and what was exported
+}
+
+/**
+ * Gets the name of the exported ICS file, after the spreadsheet and the sheet.
+ */
+function IcsFileName() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    return `${settings.spreadSheet.getName()} - ${settings.sheet.getName()}.ics`.replace(/[\\/:*?"<>|]/g, '_'); // Build the file name, without the characters that are not allowed in file names
+}
+
+/**
+ * Parses the events of an ICS (iCalendar) file. Like the other ICS helpers below, it uses no Apps Script service, so tests/ics.test.js runs it in Node.
+ * Cancelled events and modified instances of recurring events (with a RECURRENCE-ID) are left out.
+ * @param {string} text - The content of the file.
+ * @return {Object[]} The events keyed by the column schema: `title`, `start`, `end`, `allDay`, `description`, `location`, `guests` (emails with their status in brackets) and `recurrence`, plus the `uid` of the event in the file.
+ * @see https://datatracker.ietf.org/doc/html/rfc5545
+ */
+function ParseIcs(text) {
+    const events = []; // Initialize the list of events
+    const stack = []; // Initialize the stack of open components
+    let event = null; // The properties of the event being read
+    UnfoldIcsLines(text).forEach(line => { // Iterate through each content line
+        const property = ParseIcsProperty(line); // Split the line into its name, parameters and value
+        if (!property) return; // Skip the lines that are not properties
+        if (property.name == 'BEGIN') { // If a component starts
+            stack.push(property.value.toUpperCase()); // Open the component
+            if (property.value.toUpperCase() == 'VEVENT') event = {}; // Start reading an event
+            return;
+        }
+        if (property.name == 'END') { // If a component ends
+            const component = stack.pop(); // Close the component
+            if (component == 'VEVENT' && event) { // If an event ends
+                const parsed = IcsEventToRow(event); // Convert the event to the sheet's fields
+                if (parsed) events.push(parsed); // Keep the events that can be imported
+                event = null; // Stop reading the event
+            }
+            return;
+        }
+        if (!event || stack[stack.length - 1] != 'VEVENT') return; // Skip the properties outside events, or of their alarms
+        if (property.name == 'ATTENDEE') (event.ATTENDEE = event.ATTENDEE || []).push(property); // Keep every attendee
+        else if (!(property.name in event)) event[property.name] = property; // Keep the first value of the other properties
+    });
+    return events; // Return the list of events
+}
+
+/**
+ * Converts the properties of a VEVENT read by ParseIcs to the fields of a row, or returns null if the event is not imported.
+ */
+function IcsEventToRow(event) {
+    if (!event.DTSTART || event['RECURRENCE-ID']) return null; // Skip events without a start and modified instances of recurring events
+    if (event.STATUS && event.STATUS.value.toUpperCase() == 'CANCELLED') return null; // Skip cancelled events
+    const allDay = (event.DTSTART.params.VALUE || '').toUpperCase() == 'DATE' || /^\d{8}$/.test(event.DTSTART.value); // Check if the event is an all-day event
+    const start = ParseIcsDate(event.DTSTART); // Get the start of the event
+    if (isNaN(start.getTime())) throw new Error('Invalid start date in the ICS file: ' + event.DTSTART.value); // Reject events with invalid dates
+    let end; // Initialize the end of the event
+    if (event.DTEND) end = ParseIcsDate(event.DTEND); // Get the end of the event
+    else if (event.DURATION) end = new Date(start.getTime() + ParseIcsDuration(event.DURATION.value)); // Or add the duration to the start
+    else end = allDay ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1) : new Date(start); // Or use the default length: one day for all-day events, none for the others
+    if (isNaN(end.getTime())) throw new Error('Invalid end date in the ICS file: ' + (event.DTEND || event.DURATION).value); // Reject events with invalid dates
+    return {
+        uid: event.UID ? event.UID.value : '', // The UID of the event in the file
+        title: event.SUMMARY ? UnescapeIcsText(event.SUMMARY.value) : '', // The event title
+        start: start, // The start time of the event
+        end: end, // The end time of the event, exclusive for all-day events as in the calendar
+        allDay: allDay, // Whether the event is an all-day event
+        description: event.DESCRIPTION ? UnescapeIcsText(event.DESCRIPTION.value) : '', // The event description
+        location: event.LOCATION ? UnescapeIcsText(event.LOCATION.value) : '', // The event location
+        guests: (event.ATTENDEE || []).filter(attendee => /^mailto:/i.test(attendee.value)).map(attendee => attendee.value.replace(/^mailto:/i, '') + ' (' + (ICS_PARTSTATS[(attendee.params.PARTSTAT || '').toUpperCase()] || 'invited') + ')'), // The attendee emails with their status, as written by the importer
+        recurrence: event.RRULE ? event.RRULE.value.toUpperCase() : '', // The recurrence rule of the event
+    };
+}
+
+/**
+ * Builds an ICS (iCalendar) file from a list of events. It uses no Apps Script service, so tests/ics.test.js runs it in Node.
+ * @param {Object[]} events - The events to export, as returned by ParseEventRow.
+ * @param {Date} now - The time the file is created, written as the DTSTAMP of each event; defaults to the current time.
+ * @return {string} The content of the file, with CRLF line endings and lines folded at 75 octets.
+ * @see https://datatracker.ietf.org/doc/html/rfc5545
+ */
+function SerializeIcs(events, now) {
+    const stamp = FormatIcsDate(now || new Date(), false); // Get the time stamp of the file
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:' + ICS_PRODID, 'CALSCALE:GREGORIAN']; // Start the calendar
+    events.forEach(event => { // Iterate through each event
+        const instance = event.seriesId && !event.recurrence; // Check if the event is an instance of a series, which shares its ID with the other instances
+        const uid = event.id ? event.id + (instance ? '-' + FormatIcsDate(event.start, false) : '') + '@google.com' : 'row-' + event.row + '-' + event.start.getTime() + '@' + ICS_UID_DOMAIN; // Use the event ID as the UID, or make one up for rows that were never synced
+        const date = (name, value) => lines.push(name + (event.allDay ? ';VALUE=DATE:' : ':') + FormatIcsDate(value, event.allDay)); // Helper to add a date property
+        lines.push('BEGIN:VEVENT', 'UID:' + uid, 'DTSTAMP:' + stamp); // Start the event
+        date('DTSTART', event.start); // Add the start of the event
+        date('DTEND', event.end); // Add the end of the event
+        lines.push('SUMMARY:' + EscapeIcsText(event.title)); // Add the event title
+        if (event.description) lines.push('DESCRIPTION:' + EscapeIcsText(event.description)); // Add the event description
+        if (event.location) lines.push('LOCATION:' + EscapeIcsText(event.location)); // Add the event location
+        if (event.recurrence) lines.push('RRULE:' + event.recurrence); // Add the recurrence rule
+        (event.guests || []).forEach(guest => lines.push('ATTENDEE;RSVP=TRUE:mailto:' + guest)); // Add each guest
+        lines.push('END:VEVENT'); // End the event
+    });
+    lines.push('END:VCALENDAR'); // End the calendar
+    return lines.map(FoldIcsLine).join('\r\n') + '\r\n'; // Fold the long lines and join them with CRLF
+}
+
+/**
+ * Splits the content of an ICS file into content lines, joining the folded lines (those continued on lines starting with a space or a tab).
+ */
+function UnfoldIcsLines(text) {
+    return String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim() != ''); // Unfold the lines and drop the empty ones
+}
+
+/**
+ * Splits an ICS content line such as `DTSTART;TZID=Europe/Paris:20250101T090000` into its upper-case `name`, its `params` (keyed by upper-case name) and its `value`, or returns null if the line is not a property.
+ */
+function ParseIcsProperty(line) {
+    let quoted = false; // Whether the current character is inside a quoted parameter value
+    let colon = -1; // The position of the colon that separates the value
+    for (let i = 0; i < line.length && colon < 0; i++) { // Look for the first colon outside quotes
+        if (line[i] == '"') quoted = !quoted; // Enter or leave a quoted value
+        else if (line[i] == ':' && !quoted) colon = i; // Found the start of the value
+    }
+    if (colon < 0) return null; // The line has no value
+    const parts = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || ['']; // Split the name and the parameters on the semicolons outside quotes
+    const params = {}; // Initialize the parameters
+    parts.slice(1).forEach(part => { // Iterate through each parameter
+        const equals = part.indexOf('='); // Find the separator of the parameter value
+        if (equals > 0) params[part.slice(0, equals).trim().toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, ''); // Store the parameter without its quotes
+    });
+    return { name: parts[0].trim().toUpperCase(), params: params, value: line.slice(colon + 1) }; // Return the parts of the property
+}
+
+/**
+ * Parses the date of a DTSTART or DTEND property: a date, a UTC date-time, a date-time in the time zone of its TZID parameter, or a floating date-time in the script's time zone.
+ * Time zones that are not IANA names (e.g. Windows names) are read as floating times.
+ */
+function ParseIcsDate(property) {
+    const date = ParseICalDate(property.value); // Parse the date as a floating (or UTC) date
+    const timeZone = property.params.TZID; // Get the time zone of the date, if any
+    if (!timeZone || isNaN(date.getTime()) || /Z$/i.test(property.value.trim()) || /^\d{8}$/.test(property.value.trim())) return date; // Return UTC times, dates and floating times as they are
+    try { // Try to read the time in its time zone
+        return ZonedTimeToDate([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()], timeZone.replace(/^\//, '')); // Convert the wall-clock time of the time zone
+    }
+    catch (e) { // If the time zone is not known
+        return date; // Fall back to the floating time
+    }
+}
+
+/**
+ * Converts a wall-clock time in an IANA time zone to a date.
+ * @param {number[]} parts - The year, month (0-11), day, hours, minutes and seconds.
+ * @param {string} timeZone - The time zone, e.g. "Europe/Paris".
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat/formatToParts
+ */
+function ZonedTimeToDate(parts, timeZone) {
+    const format = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' }); // Format dates in the time zone, throwing if the time zone is unknown
+    const offset = time => { // Helper to get the offset of the time zone at a time
+        const values = {}; // Initialize the parts of the formatted date
+        format.formatToParts(new Date(time)).forEach(part => values[part.type] = Number(part.value)); // Read the wall-clock time in the time zone
+        return Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second) - time; // Return the difference with UTC
+    };
+    const wallClock = Date.UTC(...parts); // Read the wall-clock time as if it were UTC
+    const guess = wallClock - offset(wallClock); // Take off the offset at that time
+    return new Date(wallClock - offset(guess)); // Correct with the offset at the guessed time, in case it crosses a daylight saving change
+}
+
+/**
+ * Parses an iCalendar duration such as "PT1H30M" or "P1D" into milliseconds.
+ */
+function ParseIcsDuration(text) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(text).trim()); // Split the duration into its parts
+    if (!match) return NaN; // Return an invalid duration if the text is not a duration
+    const seconds = Number(match[2] || 0) * 604800 + Number(match[3] || 0) * 86400 + Number(match[4] || 0) * 3600 + Number(match[5] || 0) * 60 + Number(match[6] || 0); // Add up the parts in seconds
+    return (match[1] == '-' ? -1 : 1) * seconds * 1000; // Return the duration in milliseconds
+}
+
+/**
+ * Formats a date for an ICS file: "20251231" (in the script's time zone) for all-day events, or "20251231T080000Z" in UTC.
+ */
+function FormatIcsDate(date, allDay) {
+    const pad = value => String(value).padStart(2, '0'); // Helper to pad the parts to two digits
+    if (allDay) return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()); // Format the date
+    return date.getUTCFullYear() + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate()) + 'T' + pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()) + 'Z'; // Format the UTC date-time
+}
+
+/**
+ * Escapes text for an ICS property value.
+ */
+function EscapeIcsText(text) {
+    return String(text == undefined ? '' : text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n'); // Escape the backslashes, separators and line breaks
+}
+
+/**
+ * Unescapes an ICS property value.
+ */
+function UnescapeIcsText(text) {
+    return String(text).replace(/\\([\\;,nN])/g, (match, character) => character.toLowerCase() == 'n' ? '\n' : character); // Restore the escaped characters
+}
+
+/**
+ * Folds an ICS content line into lines of at most 75 octets, without splitting multi-byte characters.
+ */
+function FoldIcsLine(line) {
+    const folded = []; // Initialize the folded lines
+    let current = ''; // The line being filled
+    let size = 0; // The size of the line being filled in octets
+    for (const character of line) { // Iterate through each character
+        const code = character.codePointAt(0); // Get the code point of the character
+        const bytes = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4; // Get the size of the character in UTF-8
+        if (size + bytes > 75) { // If the character does not fit on the line
+            folded.push(current); // Start a new line
+            current = ' '; // Continuation lines start with a space
+            size = 1; // The space takes one octet
+        }
+        current += character; // Add the character to the line
+        size += bytes; // Count its size
+    }
+    folded.push(current); // Add the last line
+    return folded.join('\r\n'); // Join the folded lines
+}
+
+/****************************************
+            * TEMPLATES *
+*****************************************/
+const TEMPLATES_SHEET_NAME = 'Templates'; // Name of the sheet the event templates are kept on
+const MAX_GENERATED_EVENTS = 500; // The most events generated at once, to keep the sheet and the next sync within the Apps Script limits
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']; // The days of the week, in the order of Date.getDay
+
+/**
+ * The columns of the templates sheet, keyed by the header names in row 1. Each row holds the default fields of the events generated from it.
+ */
+const TEMPLATE_COLUMNS = [
+    { key: 'name', header: 'Name', required: true }, // The name of the template, shown in the generator
+    { key: 'title', header: 'Title' }, // The title of the events, the name of the template if empty
+    { key: 'duration', header: 'Duration (minutes)', required: true }, // The length of the events in minutes
+    { key: 'color', header: 'Tag / Color' }, // The color ID of the events (1-11)
+    { key: 'guests', header: 'Guests' }, // Comma-separated list of guest emails
+    { key: 'location', header: 'Location' }, // The location of the events
+    { key: 'description', header: 'Description' }, // The description of the events
+];
+
+/**
+ * This function is triggered when the user selects "Generate Events" from the custom menu. It displays a dialog to fill the free slots of a date range with events made from a template of the "Templates" sheet.
+ * The templates sheet is created the first time, for the user to fill in.
+ */
+function ShowGenerateEvents() {
+    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
+    if (!ColumnsAreValid()) return; // Check that the sheet headers match the column schema, if not, display an error message and return
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    let templates; // Initialize the list of templates
+    try { // Try to read the templates
+        templates = GetTemplates(); // Read the templates sheet
+    }
+    catch (e) { // If the templates sheet is not valid
+        DisplayError(EscapeHtml(ErrorMessage(e))); // Display the error message
+        return;
+    }
+    if (!templates) { // If there is no templates sheet yet
+        GetLogSheet(TEMPLATES_SHEET_NAME, TEMPLATE_COLUMNS.map(col => col.header), false); // Add the templates sheet with its headers
+        ui.alert('Generate Events', `A "${TEMPLATES_SHEET_NAME}" sheet was added. Add a row for each kind of event, with its name, its duration in minutes and the default title, color, guests, location and description, then choose Generate Events again.`, ui.ButtonSet.OK); // Tell the user how to fill in the templates
+        return;
+    }
+    if (templates.length == 0) { // If the templates sheet has no templates
+        ui.alert('Generate Events', `The "${TEMPLATES_SHEET_NAME}" sheet has no templates yet. Add a row for each kind of event, with its name and its duration in minutes.`, ui.ButtonSet.OK); // Tell the user to add templates
+        return;
+    }
+    const template = HtmlService.createTemplateFromFile('generateEvents'); // Create an HTML template from the file 'generateEvents'
+    template.templates = templates.map(item => ({ name: String(item.name).trim(), duration: Number(item.duration) })); // Pass the names and durations of the templates to the template
+    template.weekdays = WEEKDAY_NAMES; // Pass the names of the days of the week to the template
+    template.range = ImportPresetRanges(new Date()).thisWeek; // Start with the dates of this week
+    template.sheetName = settings.sheet.getName(); // Pass the name of the sheet to the template
+    template.timeZone = settings.timeZone; // Pass the time zone of the times to the template
+    ui.showModalDialog(template.evaluate().setWidth(420).setHeight(420), 'Generate Events'); // Show the dialog with the title 'Generate Events'
+}
+
+/**
+ * Reads the templates of the templates sheet, skipping the rows without a name.
+ * @return {Object[]} The templates keyed by TEMPLATE_COLUMNS, or null if the spreadsheet has no templates sheet.
+ * @throws {Error} If the templates sheet lacks a required column.
+ */
+function GetTemplates() {
+    const sheet = GetSettings().spreadSheet.getSheetByName(TEMPLATES_SHEET_NAME); // Get the templates sheet
+    if (!sheet) return null; // There are no templates yet
+    const columns = GetColumnMap(sheet, TEMPLATE_COLUMNS); // Map the headers of the templates sheet
+    if (columns.missing.length > 0) throw new Error(`The "${TEMPLATES_SHEET_NAME}" sheet is missing the column(s): ${columns.missing.join(', ')}.`); // Reject templates sheets without the required columns
+    return ReadEventRows(sheet, columns, TEMPLATE_COLUMNS).filter(item => String(item.name).trim() != ''); // Return the named templates
+}
+
+/**
+ * Writes rows for the events of a template in the free slots of a date range below the rows of the sheet. The new rows have no event ID, so the next sync creates their events in the calendar.
+ * Slots are laid out from the start of the time window of each selected day, one slot length apart, and are skipped if they overlap a busy event of the sheet's calendars or a row that is not synced yet.
+ * @param {Object} form - The `template` name, the `start` and `end` dates (both included), the `weekdays` (0 for Sunday to 6), the time window from `from` to `to` ("09:00") in the sheet's time zone and the `slotLength` in minutes.
+ * @return {string} A message telling the user how many events were added and how many slots were skipped.
+ * @throws {Error} If the settings are not valid or the template cannot be used.
+ */
+function GenerateEvents(form) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const template = (GetTemplates() || []).find(item => String(item.name).trim() == form.template); // Find the selected template
+    if (!template) throw new Error('Please select a template.'); // Reject unknown templates
+    const duration = Number(template.duration); // Get the length of the events in minutes
+    if (!(duration > 0)) throw new Error(`The Duration of the "${form.template}" template must be a number of minutes.`); // Reject templates without a length
+    if (String(template.color || '').trim() != '' && !/^([1-9]|1[01])$/.test(String(template.color).trim())) throw new Error(`The Tag / Color of the "${form.template}" template must be a number from 1 to 11.`); // Reject unknown colors
+    const invalid = UnknownGuests(template.guests); // Get the guests that are neither emails nor groups
+    if (invalid.length > 0) throw new Error(`Invalid guest email(s) or unknown group(s) in the "${form.template}" template: ${invalid.join(', ')}.`); // Reject invalid guests
+    const slots = PlanSlots(form, duration); // Work out the slots of the range
+    if (slots.length == 0) throw new Error('No slot fits in the time window on the selected days.'); // Stop here if there is nothing to generate
+    if (slots.length > MAX_GENERATED_EVENTS) throw new Error(`The settings give more than ${MAX_GENERATED_EVENTS} slots; please choose a shorter range, fewer days or a shorter time window.`); // Reject ranges that are too large
+    const busy = GetBusyTimes(slots[0].start, slots[slots.length - 1].end); // Get the busy times of the range
+    const free = slots.filter(slot => !busy.some(time => slot.start < time.end && slot.end > time.start)); // Keep the slots that do not overlap a busy time
+    if (free.length == 0) return `All ${slots.length} slot(s) overlap busy times, so no event was added.`; // Tell the user nothing was added
+
+    const lock = LockService.getDocumentLock(); // Get the lock of the spreadsheet, so that the rows are not added while a sync writes to the sheet
+    if (!lock.tryLock(10000)) throw new Error('Another sync is running at the moment. Please try again in a few minutes.'); // Stop here if another sync is running
+    try { // Try to add the rows while holding the lock
+        AddMissingColumns(['color', 'guests', 'location', 'description'].filter(key => String(template[key] || '').trim() != '')); // Add the columns of the template fields the sheet does not have
+        const columns = settings.columns; // Get the column map of the active sheet
+        const fields = { title: String(template.title || '').trim() || String(template.name).trim(), allDay: false, color: template.color, guests: template.guests, location: template.location, description: template.description }; // The fields of every event
+        const data = free.map(slot => EventToRow(Object.assign({}, fields, { start: DateToCell(slot.start, settings.timeZone), end: DateToCell(slot.end, settings.timeZone) }), columns)); // Convert each slot to a row in the sheet's column order
+        const firstRow = settings.sheet.getLastRow() + 1; // Get the first empty row
+        settings.sheet.getRange(firstRow, 1, data.length, columns.width).setValues(data); // Write the rows below the last row
+        settings.sheet.getRange(firstRow, columns.index.start + 1, data.length, 1).setNumberFormat(settings.dateFormat); // Format the start times of the new rows
+        settings.sheet.getRange(firstRow, columns.index.end + 1, data.length, 1).setNumberFormat(settings.dateFormat); // Format the end times of the new rows
+    }
+    finally { // Always release the lock
+        lock.releaseLock(); // Let the next sync run
+    }
+    return `${free.length} event(s) were added to the sheet and ${slots.length - free.length} slot(s) were skipped because they overlap busy times. Use Update Calendar to create them in the calendar.`; // Tell the user what was generated
+}
+
+/**
+ * Lays out the slots of the generator settings, as exact times read in the sheet's time zone, including across daylight saving time changes.
+ * @param {Object} form - The settings of GenerateEvents.
+ * @param {number} duration - The length of the events in minutes.
+ * @return {Object[]} The `start` and `end` of each slot, in order.
+ * @throws {Error} If the settings are not valid.
+ */
+function PlanSlots(form, duration) {
+    const minutes = time => { // Helper to read a time of day ("09:30") as minutes after midnight
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim()); // Split the hours and minutes
+        return match && Number(match[1]) <= 23 && Number(match[2]) <= 59 ? Number(match[1]) * 60 + Number(match[2]) : NaN; // Return the minutes, or NaN for invalid times
+    };
+    const start = String(form.start || ''), end = String(form.end || ''); // Get the dates of the range
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) throw new Error('Please select the From and To dates.'); // Reject missing dates
+    if (end < start) throw new Error('The To date must not be before the From date.'); // Reject reversed ranges
+    const weekdays = [].concat(form.weekdays || []).map(Number); // Get the selected days of the week
+    if (weekdays.length == 0) throw new Error('Please select at least one day of the week.'); // Reject empty selections
+    const from = minutes(form.from), to = minutes(form.to); // Get the time window
+    if (isNaN(from) || isNaN(to)) throw new Error('The times of the window must be between 00:00 and 23:59.'); // Reject invalid times
+    if (to <= from) throw new Error('The time window must end after it starts.'); // Reject invalid windows
+    const slotLength = Number(form.slotLength); // Get the time between the starts of two slots
+    if (!(slotLength >= duration)) throw new Error(`The slot length must be at least the ${duration} minutes of the template's events.`); // Slots must not overlap each other
+
+    const timeZone = GetSettings().timeZone; // Read the times in the sheet's time zone
+    const slots = []; // Initialize the list of slots
+    const last = Date.UTC(...end.split('-').map((part, i) => Number(part) - (i == 1 ? 1 : 0))); // Get the last day of the range
+    for (let day = Date.UTC(...start.split('-').map((part, i) => Number(part) - (i == 1 ? 1 : 0))); day <= last && slots.length <= MAX_GENERATED_EVENTS; day += 24 * 60 * 60 * 1000) { // Iterate through each day of the range, stopping once there are too many slots
+        const date = new Date(day); // Get the date of the day, in UTC so that every day is 24 hours long
+        if (!weekdays.includes(date.getUTCDay())) continue; // Skip the days of the week that are not selected
+        for (let minute = from; minute + duration <= to; minute += slotLength) { // Iterate through each slot that fits in the window
+            const slotStart = ZonedTimeToDate([date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, minute, 0], timeZone); // Read the start of the slot in the sheet's time zone
+            slots.push({ start: slotStart, end: new Date(slotStart.getTime() + duration * 60 * 1000) }); // Add the slot
+        }
+    }
+    return slots; // Return the slots in order
+}
+
 /**
- * This function is triggered when the user selects the "Import Events" option from the custom menu. It checks if a calendar ID exists, and if so, it displays a modal dialog for the user to select a date range for importing events from the calendar.
+ * Gets the busy times within a date range: the events of the sheet's calendars that show the user as busy and that the user has not declined, and the timed rows of the sheet that are not synced yet.
+ * @return {Object[]} The `start` and `end` of each busy time.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#gettransparency
  */
-function FetchCalendarEvents() {
-    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
-    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
-    var html = HtmlService.createTemplateFromFile('dateSelect').evaluate().setWidth(settings.dialogWidth).setHeight (settings.dialogHeight); // Create an HTML template from the file 'dateSelect' and set its width and height
-    ui.showModalDialog(html, 'Date Range Selection'); // Show the dialog with the title 'Date Range Selection'  
+function GetBusyTimes(startDate, endDate) {
+    const busy = GetCalendarEvents(startDate, endDate).map(item => item.calendarEvent).filter(calendarEvent => { // Keep the events that block time
+        if (String(calendarEvent.getTransparency()) == EVENT_SHOW_AS.free) return false; // Skip the events that show the user as free
+        return String(calendarEvent.getMyStatus()) != String(CalendarApp.GuestStatus.NO); // Skip the events the user declined
+    }).map(calendarEvent => ({ start: calendarEvent.getStartTime(), end: calendarEvent.getEndTime() })); // Get the times of the events
+    GetSettings().events.filter(row => String(row.id).trim() == '' && String(row.title).trim() != '' && !ToBoolean(row.delete) && !ToBoolean(row.allDay) && String(row.showAs).trim().toLowerCase() != 'free').forEach(row => { // Iterate through each timed row that is not in the calendar yet
+        if (ValidateRow(row).length > 0) return; // Skip the rows that cannot be synced
+        const event = ParseEventRow(row); // Read the times of the row
+        busy.push({ start: event.start, end: event.end }); // The row will block its time once synced
+    });
+    return busy; // Return the busy times
 }
 
+/****************************************
+            * SYNC BACKENDS *
+*****************************************/
 /*
- * Add events to the sheet
- ** @param {Object} e - The event object containing the start and end dates selected in the dialog.
+ * The sync reads and writes the calendar through a backend, chosen per spreadsheet in Settings > Sync Backend:
+ * - calendarApp (the default) uses CalendarApp, one call per event and per field;
+ * - advanced uses the Calendar API advanced service: it lists a whole date range at once, keeps the events in memory, merges the changes of each event into one patch, sends the patches in parallel batches and uses sync tokens so that later syncs only look at the events changed since.
+ * A backend is an object with these members, so another one (e.g. an in-memory fake for tests) can be plugged in with SetBackend:
+ * - getCalendar(calendarId): a calendar with the CalendarApp Calendar methods used by the sync (getEventById, getEventSeriesById, getEvents, createEvent, createAllDayEvent, createEventSeries, createAllDayEventSeries), or null if the calendar is not available. Its events have the CalendarApp CalendarEvent and CalendarEventSeries methods used by the sync, and may have an inviteGuests(emails) method that adds guests and sends them an invitation (see InviteGuests);
+ * - newRecurrence(rrule): the recurrence passed to the series methods of its calendars, built from an RRULE string;
+ * - getChanges(calendarId): the events changed since the last complete sync of the sheet, as the `ids` of every changed (or deleted) event and the changed `events` still in the calendar; or null if the backend cannot tell;
+ * - flush(): sends the changes that are still pending, returning the `calendarEvent` and error `message` of each change that failed;
+ * - saveSyncState(): remembers that every change returned by getChanges has been synced.
  */
-async function AddEventsToSheet(e) {
-    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer  
-    const sheet = settings.sheet; // Get the active sheet in the spreadsheet    
-    try {   
-        const startDate = new Date(e.start); // declare startime obtained from the selected range in the dates dialog.
-        const endDate = new Date(e.end); // declare endtime obtained from the selected range in the dates dialog.
-        const calendar = CalendarApp.getCalendarById(settings.calendarId); // Get the calendar by its ID
-        const events = calendar.getEvents(startDate, endDate); // Get the events within the specified date range
-        const data = []; // Initialize an array to hold the event data
-        if (events.length > 0) { // Check if there are any events in the specified date range
-            events.forEach(event => { // Iterate through each event in the events array
-                const eventID = event.getId().split('@')[0]; // Extract the event ID before the '@' symbol
-                const eventTitle = event.getTitle(); // Get the event title
-                const startTime = event.getStartTime(); // Get the start time of the event
-                const endTime = event.getEndTime(); // Get the end time of the event
-                const isAllDay = event.isAllDayEvent(); // Get the end time of the event
-                const description = event.getDescription(); // Get the description of the event
-                const color = event.getColor(); // Get the color of the event
-                const guests = event.getGuestList().map(g => `${g.getEmail()} (${g.getGuestStatus().toString().toLowerCase()})`).join(', '); // Get the guests of the event
-                const myStatus = event.getMyStatus();
-                const location = event.getLocation();
-                const deleteOpt = 'false'; // Placeholder for delete option
-                data.push([eventID, eventTitle, startTime, endTime, isAllDay, description, color, guests, myStatus, location, deleteOpt]); // Push the event data into the array
-            });
-            const numRows = data.length; // Get the number of rows in the data array
-            const numCols = data[0].length; // Get the number of columns in the data array
-            ClearSheet(); // Clear the existing content in the sheet
-            sheet.getRange(2, 1, numRows, numCols).setValues(data); // Set the values in the sheet starting from row 2, column 1
-            var startTimeColumn = sheet.getRange("C2:C"); // Get the range for the start time column
-            startTimeColumn.setNumberFormat("dd/mm/YYYY HH:mm:ss"); // Set the number format for the start time column
-            var endTimeColumn = sheet.getRange("D2:D"); // Get the range for the end time column
-            endTimeColumn.setNumberFormat("dd/mm/YYYY HH:mm:ss"); // Set the number format for the end time column
-        } else { // If there are no events in the specified date range
-            ClearSheet(); // Clear the existing content in the sheet
-        }
+const SYNC_BACKENDS = { calendarApp: 'CalendarApp, one call per event', advanced: 'Calendar API advanced service, batched (for large sheets)' }; // The backends the sync can use
+const BATCH_SIZE = 50; // Number of changes the advanced backend sends at once
+const API_GUEST_STATUSES = { needsAction: 'INVITED', accepted: 'YES', declined: 'NO', tentative: 'MAYBE' }; // The Calendar API response statuses and their CalendarApp.GuestStatus names
+
+/**
+ * Gets the backend used by the sync in this run, as chosen for the spreadsheet.
+ * @see https://developers.google.com/apps-script/reference/properties/properties-service#getdocumentproperties
+ */
+function GetBackend() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    if (!settings.backend) { // If no backend has been used in this run yet
+        const name = PropertiesService.getDocumentProperties().getProperty('SYNC_BACKEND'); // Get the backend chosen for the spreadsheet
+        settings.backend = name == 'advanced' ? AdvancedCalendarBackend() : CalendarAppBackend(); // Create the backend, defaulting to CalendarApp
     }
-    catch (e) { // Catch any errors that occur during the process
-        DisplayError(e); // Display an error message if an error occurs
+    return settings.backend; // Return the backend
+}
+
+/**
+ * Plugs another backend into the sync for the rest of the run, e.g. an in-memory fake in tests.
+ */
+function SetBackend(backend) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    settings.backend = backend; // Use the backend from now on
+    settings.calendars = {}; // Forget the calendars of the previous backend
+    settings.changes = {}; // Forget the changes read from the previous backend
+}
+
+/**
+ * Gets the events of a calendar changed since the last complete sync of the sheet, read from the backend once per run. See the getChanges member of the backends.
+ * @return {Object} The `ids` of the changed events and the changed `events` still in the calendar, or null if the backend cannot tell.
+ */
+function GetCalendarChanges(calendarId) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    if (!(calendarId in settings.changes)) settings.changes[calendarId] = GetBackend().getChanges(calendarId); // Read the changes the first time they are needed
+    return settings.changes[calendarId]; // Return the changes
+}
+
+/**
+ * This function displays a prompt dialog to the user to choose the backend the sync uses to read and write the calendar.
+ */
+function ShowSyncBackend() {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    const options = Object.keys(SYNC_BACKENDS).map(key => `${key} - ${SYNC_BACKENDS[key]}`).join('\n'); // List the available backends
+    const result = ui.prompt('Sync Backend', `Current backend: ${properties.getProperty('SYNC_BACKEND') || 'calendarApp'}\n\nWhich backend should the sync use?\n${options}`, ui.ButtonSet.OK_CANCEL); // Ask the user for the backend
+    if (result.getSelectedButton() != ui.Button.OK) return; // Stop here if the user cancelled
+    const name = result.getResponseText().trim(); // Get the backend entered by the user
+    const key = Object.keys(SYNC_BACKENDS).find(backend => backend.toLowerCase() == name.toLowerCase()); // Find the backend, ignoring case
+    if (!key) { // If the backend is not known
+        DisplayError('Unknown backend "' + EscapeHtml(name) + '". Please enter one of: ' + Object.keys(SYNC_BACKENDS).join(', ')); // Display an error message listing the valid backends
+        return;
+    }
+    if (key == 'advanced' && typeof Calendar == 'undefined') { // If the advanced service is not turned on
+        DisplayError('Turn on the Google Calendar API advanced service under Services in the script editor first.'); // Tell the user how to turn it on
         return;
     }
+    properties.setProperty('SYNC_BACKEND', key); // Save the backend for the spreadsheet
+    properties.deleteProperty('SYNC_TOKENS'); // Start the next sync with a full read of the calendars
 }
 
-/****************************************
-            * CREATE & UPDATE EVENTS *
-*****************************************/
-/*
- * This function iterates through the events data, checks if an event ID exists, and either updates the existing event or creates a new one. It also handles deletion of events based on a flag in the data.
+/**
+ * Creates the backend that uses CalendarApp. Changes are written as soon as they are made, so there is nothing to flush, and it cannot tell which events changed.
  * @see https://developers.google.com/apps-script/reference/calendar/calendar-app
- * @see https://developers.google.com/apps-script/reference/calendar/calendar
- * @see https://developers.google.com/apps-script/reference/calendar/event
- * @see https://developers.google.com/apps-script/reference/spreadsheet/sheet
  */
-function CreateOrUpdateEvents() {
-    if (!CalendarIdExists()) return; // Check if a calendar ID exists, if not, display an error message and return
-    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
-    const filteredCsvEv = settings.events.filter(value => value[1] != ''); // Filter out empty rows from the events data
-    const startEndDates = GetStartEndDates(filteredCsvEv); // Get the start and end dates from the filtered events data
-    const startDate = startEndDates[0]; // Get the start date from the first event in the data
-    const endDate = startEndDates[1]; // Get the end date from the last event in the data
-
-    filteredCsvEv.forEach(async (event) => {
-        // Iterate through each event in the filtered events data
-        const eventID = event[0]; // Get the event ID from the first column of the event data
-        const eventTitle = event[1]; // Get the event subject from the second column of the event data
-        const startTime = event[2]; // Get the start time from the third column of the event data
-        const endTime = event[3]; // Get the end time from the fourth column of the event data
-        const isAllDayEv = event[4]; // Get the all-day event flag from the fifth column of the event data
-        const description = event[5]; // Get the description from the fifth column of the event data
-        const color = event[6] > 0 ? event[6] : 8; // Get the color from the sixth column of the event data
-        const guests = event[7].split(','); // Get the guests from the seventh column of the event data
-        const myStatusStr = event[8]; // Get the user status from the eighth column of the event data
-        const location = event[9]; // Get the location from the ninth column of the event data
-        const sendInvites = event[10]; // Get the send invites option from the tenth column of the event data
-        let deleteOpt = event[11]; // Get the delete option from the eighth column of the event data
-
-        let myStatus; // Initialize the myStatus variable to store the user's status
-        switch (myStatusStr) { // Determine the user's status based on the string value
-            case "OWNER": // If the status is OWNER, set myStatus to CalendarApp.GuestStatus.OWNER
-                myStatus = CalendarApp.GuestStatus.OWNER; // Set the status to OWNER
-                break;
-            case "INVITED": // If the status is INVITED, set myStatus to CalendarApp.GuestStatus.INVITED
-                myStatus = CalendarApp.GuestStatus.INVITED; // Set the status to INVITED
-                break;
-            case "YES": // If the status is YES, set myStatus to CalendarApp.GuestStatus.YES
-                myStatus = CalendarApp.GuestStatus.YES; // Set the status to YES
-                break;
-            case "NO": // If the status is NO, set myStatus to CalendarApp.GuestStatus.NO
-                myStatus = CalendarApp.GuestStatus.NO; // Set the status to NO
-                break;
-            case "MAYBE": // If the status is MAYBE, set myStatus to CalendarApp.GuestStatus.MAYBE
-                myStatus = CalendarApp.GuestStatus.MAYBE; // Set the status to MAYBE
-                break;
-        }
-
-        if (eventID == undefined && eventTitle == undefined && description == undefined && color == undefined && !(startTime instanceof Date) && !(endTime instanceof Date) && guestsStr == undefined && location == undefined && sendInvites == undefined) return; // If the event ID, title, description, color, start time, end time, guests, location, and send invites are all undefined, skip to the next iteration
-
-        if (deleteOpt) {
-            // If the delete option is set, delete the event from the calendar
-            DeleteEvent(eventID); // Call the DeleteEvent function to delete the event
-            return; // Skip to the next iteration if the event is marked for deletion
-        }
-
-        if (isAllDayEv) { // If the event is an all-day event
-            if (eventID != '') { // If the event ID is not empty, update the existing event
-                UpdateEvent(isAllDayEv, eventID, eventTitle, startTime, endTime, description, color, guests, myStatus, location, sendInvites); // Call the UpdateEvent function to update the existing event
-                return; // Skip to the next iteration after updating the event
-            }
-            CreateEvent(isAllDayEv, eventTitle, startTime, endTime, description, color, guests, location, sendInvites); // If the event ID is empty, create a new all-day event
-            return; // Skip to the next iteration after creating the event
+function CalendarAppBackend() {
+    return {
+        getCalendar: calendarId => CalendarApp.getCalendarById(calendarId), // Get the calendar from CalendarApp
+        newRecurrence: rrule => BuildRecurrence(rrule), // Build a CalendarApp recurrence
+        getChanges: () => null, // CalendarApp has no sync tokens
+        flush: () => [], // Every change was already written
+        saveSyncState: () => { }, // There is no state to save
+    };
+}
+
+/**
+ * Creates the backend that uses the Google Calendar API advanced service.
+ * @see https://developers.google.com/calendar/api/v3/reference/events
+ * @see https://developers.google.com/calendar/api/guides/sync
+ */
+function AdvancedCalendarBackend() {
+    if (typeof Calendar == 'undefined') throw new Error('The Calendar API sync backend needs the Google Calendar API advanced service. Turn it on under Services in the script editor, or choose the calendarApp backend in Settings.'); // The advanced service is needed
+    const calendars = {}; // The calendars used in this run, keyed by calendar ID
+    let patches = {}; // The pending changes, keyed by calendar and event ID
+    let deletes = []; // The pending deletions
+    let invites = []; // The pending invitations of guests added to existing events
+    const syncTokens = {}; // The sync tokens to save at the end of the sync, keyed by calendar ID
+    const tokenKey = calendarId => GetSettings().sheet.getSheetId() + ':' + calendarId; // Keep the sync tokens of each sheet apart, since each sheet syncs on its own
+    const send = (requests, sendUpdates) => { // Helper to send changes in parallel batches, telling the Calendar API whom to notify
+        const failures = []; // Initialize the list of changes that failed
+        for (let i = 0; i < requests.length; i += BATCH_SIZE) { // Send the changes a batch at a time
+            const batch = requests.slice(i, i + BATCH_SIZE); // Get the changes of the batch
+            const responses = UrlFetchApp.fetchAll(batch.map(request => { // Send the batch in parallel
+                const options = { url: request.url + '?sendUpdates=' + sendUpdates, method: request.method, headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() }, muteHttpExceptions: true }; // Authorize the request and keep the errors in the response
+                if (request.payload) { options.contentType = 'application/json'; options.payload = request.payload; } // Send the fields of a patch
+                return options;
+            }));
+            responses.forEach((response, j) => { // Iterate through each response
+                const code = response.getResponseCode(); // Get the HTTP status
+                if (code >= 200 && code < 300) { // If the change was made
+                    if (batch[j].method == 'patch') batch[j].calendarEvent.resource = JSON.parse(response.getContentText()); // Keep the updated event, including its new update time
+                }
+                else if (!(batch[j].method == 'delete' && (code == 404 || code == 410))) { // Unless the event to delete was already gone
+                    failures.push({ calendarEvent: batch[j].calendarEvent, message: ApiErrorMessage(response) }); // Record the failure
+                }
+            });
         }
+        return failures; // Return the changes that failed
+    };
+    const backend = {
+        getCalendar: calendarId => { // Get a calendar by its ID
+            if (!calendars[calendarId]) { // If the calendar has not been used in this run yet
+                let resource; // The calendar from the Calendar API
+                try { resource = Calendar.Calendars.get(calendarId); } // Get the calendar
+                catch (e) { return null; } // The calendar does not exist or the user has no access to it
+                calendars[calendarId] = AdvancedCalendar(backend, calendarId, resource); // Keep the calendar for the rest of the run
+            }
+            return calendars[calendarId]; // Return the calendar
+        },
+        newRecurrence: rrule => ['RRULE:' + rrule], // The Calendar API takes the RRULE itself
+        queuePatch: (calendarId, calendarEvent, fields) => { // Add a change of an event to the pending patches
+            const key = calendarId + ' ' + calendarEvent.resource.id; // Identify the event
+            if (!patches[key]) patches[key] = { calendarId: calendarId, calendarEvent: calendarEvent, fields: {} }; // Start a patch for the event
+            Object.assign(patches[key].fields, fields); // Merge the change into the patch
+        },
+        queueInvite: (calendarId, calendarEvent, emails, event) => { // Add guests to invite to the pending changes, sent once the patches are made
+            invites.push({ calendarId: calendarId, calendarEvent: calendarEvent, emails: emails, event: event }); // Invite the guests, keeping the row shown in the invitation
+        },
+        queueDelete: (calendarId, calendarEvent) => { // Add a deletion to the pending changes
+            delete patches[calendarId + ' ' + calendarEvent.resource.id]; // Drop the pending changes of the deleted event
+            deletes.push({ calendarId: calendarId, calendarEvent: calendarEvent }); // Delete the event
+        },
+        flush: () => { // Send the pending changes
+            const requests = Object.keys(patches).map(key => ({ calendarEvent: patches[key].calendarEvent, method: 'patch', url: ApiEventUrl(patches[key].calendarId, patches[key].calendarEvent.resource.id), payload: JSON.stringify(patches[key].fields) })) // Patch each changed event
+                .concat(deletes.map(item => ({ calendarEvent: item.calendarEvent, method: 'delete', url: ApiEventUrl(item.calendarId, item.calendarEvent.resource.id) }))); // And delete each deleted event
+            const pending = invites; // Keep the invitations, which are sent once the patches are made
+            patches = {}; // The patches are no longer pending
+            deletes = []; // The deletions are no longer pending
+            invites = []; // The invitations are no longer pending
+            const failures = send(requests, 'none'); // Send the changes without notifying the guests
+            const inviteRequests = pending.filter(item => !failures.some(failure => failure.calendarEvent === item.calendarEvent)).map(item => ({ calendarEvent: item.calendarEvent, method: 'patch', url: ApiEventUrl(item.calendarId, item.calendarEvent.resource.id), payload: JSON.stringify({ attendees: (item.calendarEvent.resource.attendees || []).concat(item.emails.map(email => ({ email: email }))) }) })); // Add the guests to the attendees of each event as they are after the patches
+            const inviteFailures = send(inviteRequests, 'none'); // Add the guests without notifying anyone, since the API would also notify the guests already invited
+            pending.filter(item => inviteRequests.some(request => request.calendarEvent === item.calendarEvent) && !inviteFailures.some(failure => failure.calendarEvent === item.calendarEvent)).forEach(item => SendInvitationEmails(item.event, item.emails, item.calendarEvent.resource.htmlLink || '')); // Email the invitation to the new guests of each event they were added to
+            return failures.concat(inviteFailures); // Return the changes that failed
+        },
+        getChanges: calendarId => { // Get the events changed since the last complete sync
+            const tokens = JSON.parse(PropertiesService.getDocumentProperties().getProperty('SYNC_TOKENS') || '{}'); // Get the saved sync tokens
+            const token = tokens[tokenKey(calendarId)]; // Get the sync token of the sheet and the calendar
+            const calendar = backend.getCalendar(calendarId); // Get the calendar, to keep the changed events in memory
+            if (token) { // If the calendar was synced before
+                try { // Try to read the changes since the token
+                    const changes = { ids: [], events: [] }; // Initialize the changes
+                    ApiListAll(calendarId, { syncToken: token, singleEvents: true, maxResults: 2500 }, page => { // Read each page of changes
+                        page.items.forEach(item => { // Iterate through each changed event
+                            const id = item.iCalUID ? item.iCalUID.split('@')[0] : item.recurringEventId || item.id; // Get the ID the sheet keeps for the event, or for its series, falling back on the Calendar API ID of deleted events listed without their iCalendar ID
+                            if (!changes.ids.includes(id)) changes.ids.push(id); // Keep the ID of each changed event
+                        });
+                        calendar.remember(page.items).forEach(event => changes.events.push(event)); // Keep the changed events that are still in the calendar
+                        if (page.nextSyncToken) syncTokens[calendarId] = page.nextSyncToken; // Keep the token to save at the end of the sync
+                    });
+                    return changes; // Return the changes
+                }
+                catch (e) { // If the token could not be used
+                    if (!/sync token|410|gone/i.test(ErrorMessage(e))) throw e; // Fail for errors other than an expired token
+                }
+            }
+            const range = SheetDateRange(GetSettings().events); // Get the date range of the sheet, which the events are imported from
+            if (!range) return null; // No token is needed while the sheet has no dated rows
+            ApiListAll(calendarId, { timeMin: range.start.toISOString(), timeMax: range.end.toISOString(), singleEvents: true, maxResults: 2500, fields: 'nextPageToken,nextSyncToken' }, page => { // Page through the events of the range to get a new token, without reading them
+                if (page.nextSyncToken) syncTokens[calendarId] = page.nextSyncToken; // Keep the token to save at the end of the sync
+            });
+            return null; // The changes are not known this time
+        },
+        saveSyncState: () => { // Save the sync tokens read during the sync
+            const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+            const tokens = JSON.parse(properties.getProperty('SYNC_TOKENS') || '{}'); // Get the saved sync tokens
+            Object.keys(syncTokens).forEach(calendarId => tokens[tokenKey(calendarId)] = syncTokens[calendarId]); // Replace the tokens of the synced calendars
+            properties.setProperty('SYNC_TOKENS', JSON.stringify(tokens)); // Save the tokens
+        },
+    };
+    return backend; // Return the backend
+}
 
-        if (eventID != '') { // If the event ID is not empty, update the existing event
-            UpdateEvent(isAllDayEv, eventID, eventTitle, startTime, endTime, description, color, guests, myStatus, location, sendInvites); // Call the UpdateEvent function to update the existing event
-            return; // Skip to the next iteration after updating the event
+/**
+ * Creates a calendar of the advanced backend, with the CalendarApp Calendar methods used by the sync. Events listed by getEvents are kept in memory, so that later lookups of the same events make no calls.
+ * Events are looked up by the part of their iCalendar ID before the "@", which is the ID the sheet keeps (see AdvancedEvent getId), and not by their Calendar API ID.
+ * @param {Object} backend - The backend the calendar belongs to.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {Object} resource - The calendar from the Calendar API.
+ * @see https://developers.google.com/calendar/api/v3/reference/events/list
+ */
+function AdvancedCalendar(backend, calendarId, resource) {
+    const events = {}; // The events read so far, keyed by Calendar API ID (and by "series:" and the ID for whole series)
+    const uids = {}; // The keys of the events read so far, keyed by the ID the sheet keeps (and by "series:" and the ID for whole series)
+    const ranges = []; // The date ranges listed so far
+    const uid = item => String(item.iCalUID || item.id).split('@')[0]; // Helper to get the ID the sheet keeps for an event
+    const fetch = eventId => { // Helper to read an event, or the whole series, by the ID the sheet keeps
+        for (const iCalUID of [eventId + '@google.com', eventId]) { // Try the iCalendar ID of the events made in Google Calendar, then the ID as it is for events imported without an "@"
+            const items = (Calendar.Events.list(calendarId, { iCalUID: iCalUID }).items || []).filter(item => item.status != 'cancelled'); // List the event and the changed instances of a series, leaving out deleted events
+            if (items.length > 0) return items.find(item => !item.recurringEventId) || items[0]; // Return the event or the series itself
         }
+        return null; // The event is not in the calendar
+    };
+    const wrap = (item, isSeries) => { // Helper to get the single object of an event
+        const key = (isSeries ? 'series:' : '') + item.id; // Identify the event
+        if (!events[key]) events[key] = AdvancedEvent(calendar, item, isSeries); // Wrap the event the first time it is read
+        else events[key].resource = item; // Otherwise update it
+        if (isSeries) uids['series:' + uid(item)] = key; // Find the series by the ID the sheet keeps
+        else if (!item.recurringEventId && !item.recurrence) uids[uid(item)] = key; // Find single events by the ID the sheet keeps, which instances share with their series
+        return events[key]; // Return the event
+    };
+    const insert = (item, options) => { // Helper to create an event
+        item.summary = item.summary || ''; // Set the title
+        if (options.description) item.description = options.description; // Set the description
+        if (options.location) item.location = options.location; // Set the location
+        if (options.guests) item.attendees = options.guests.split(',').filter(guest => guest != '').map(guest => ({ email: guest.trim() })); // Set the guests
+        return Calendar.Events.insert(item, calendarId, { sendUpdates: options.sendInvites ? 'all' : 'none' }); // Create the event, sending the invites if asked
+    };
+    const timed = date => ({ dateTime: date.toISOString(), timeZone: resource.timeZone }); // Helper to build the time of a timed event
+    const calendar = {
+        id: calendarId, // The ID of the calendar
+        getName: () => resource.summary, // Get the name of the calendar
+        getTimeZone: () => resource.timeZone, // Get the time zone of the calendar
+        remember: items => items.filter(item => item.status != 'cancelled').map(item => wrap(item, false)), // Keep events read elsewhere, e.g. with a sync token, and return them
+        getEvents: (start, end) => { // Get the events (and instances of series) that overlap a date range
+            if (!ranges.some(range => range.start <= start.getTime() && range.end >= end.getTime())) { // If the range has not been listed yet
+                ApiListAll(calendarId, { timeMin: start.toISOString(), timeMax: end.toISOString(), singleEvents: true, maxResults: 2500 }, page => calendar.remember(page.items)); // Read and keep the events of the range
+                ranges.push({ start: start.getTime(), end: end.getTime() }); // Remember that the range was listed
+            }
+            return Object.keys(events).filter(key => !key.startsWith('series:')).map(key => events[key]).filter(event => event.getStartTime() < end && event.getEndTime() > start); // Return the events that overlap the range
+        },
+        getEventById: id => { // Get an event, or the first instance of a series, by its ID
+            if (uids[id]) return events[uids[id]]; // Return the event if it was already read
+            const item = fetch(id); // Read the event
+            if (!item) return null; // The event is not in the calendar
+            if (!item.recurrence) return wrap(item, false); // Return a single event
+            const first = (Calendar.Events.instances(calendarId, item.id, { maxResults: 1 }).items || [])[0]; // Get the first instance of the series by its Calendar API ID
+            if (!first) return null; // The series has no instances left
+            const event = wrap(first, false); // Keep the first instance
+            uids[id] = first.id; // Find the first instance by the ID of the series next time
+            return event; // Return the first instance
+        },
+        getEventSeriesById: id => { // Get a whole series by its ID
+            if (uids['series:' + id]) return events[uids['series:' + id]]; // Return the series if it was already read
+            const item = fetch(id); // Read the series
+            return item && item.recurrence ? wrap(item, true) : null; // Return the series, or null if the event does not repeat
+        },
+        createEvent: (title, start, end, options) => wrap(insert({ summary: title, start: timed(start), end: timed(end) }, options), false), // Create a timed event
+        createAllDayEvent: (title, start, end, options) => wrap(insert({ summary: title, start: { date: FormatApiDate(start) }, end: { date: FormatApiDate(end) } }, options), false), // Create an all-day event
+        createEventSeries: (title, start, end, recurrence, options) => wrap(insert({ summary: title, start: timed(start), end: timed(end), recurrence: recurrence }, options), true), // Create a series of timed events
+        createAllDayEventSeries: (title, start, recurrence, options) => wrap(insert({ summary: title, start: { date: FormatApiDate(start) }, end: { date: FormatApiDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1)) }, recurrence: recurrence }, options), true), // Create a series of all-day events
+        queuePatch: (calendarEvent, fields) => backend.queuePatch(calendarId, calendarEvent, fields), // Add a change of an event to the pending patches
+        queueInvite: (calendarEvent, emails, event) => backend.queueInvite(calendarId, calendarEvent, emails, event), // Add guests to invite to the pending changes
+        queueDelete: calendarEvent => backend.queueDelete(calendarId, calendarEvent), // Add a deletion to the pending changes
+    };
+    return calendar; // Return the calendar
+}
 
-        CreateEvent(isAllDayEv, eventTitle, startTime, endTime, description, color, guests, location, sendInvites); // If the event ID is empty, create a new event
+/**
+ * Creates an event (or a whole series) of the advanced backend, with the CalendarApp CalendarEvent and CalendarEventSeries methods used by the sync. Getters read the event in memory; setters change it in memory and add the change to the pending patch of the event.
+ * @param {Object} calendar - The calendar of the event, from AdvancedCalendar.
+ * @param {Object} resource - The event from the Calendar API.
+ * @param {boolean} isSeries - Whether the object stands for the whole series rather than one instance.
+ * @see https://developers.google.com/calendar/api/v3/reference/events#resource
+ */
+function AdvancedEvent(calendar, resource, isSeries) {
+    const event = { resource: resource }; // The event, whose resource is replaced when it is read again or patched
+    const set = fields => { Object.assign(event.resource, fields); calendar.queuePatch(event, fields); }; // Helper to change fields in memory and in the pending patch
+    const apiDate = time => time.date ? ParseApiDate(time.date) : new Date(time.dateTime); // Helper to read the start or end of the event
+    const attendees = () => event.resource.attendees || []; // Helper to get the attendees of the event
+    const overrides = () => (event.resource.reminders || {}).useDefault === false ? event.resource.reminders.overrides || [] : []; // Helper to get the reminders set on the event
+    const addReminder = (method, minutes) => set({ reminders: { useDefault: false, overrides: overrides().concat([{ method: method, minutes: minutes }]) } }); // Helper to add a reminder
+    return Object.assign(event, {
+        getId: () => event.resource.iCalUID, // Get the iCalendar ID, as CalendarApp does
+        getTitle: () => event.resource.summary || '', // Get the title
+        getDescription: () => event.resource.description || '', // Get the description
+        getLocation: () => event.resource.location || '', // Get the location
+        getColor: () => event.resource.colorId || '', // Get the color ID
+        getStartTime: () => apiDate(event.resource.start), // Get the start time
+        getEndTime: () => apiDate(event.resource.end), // Get the end time
+        getAllDayStartDate: () => ParseApiDate(event.resource.start.date), // Get the first day of an all-day event
+        getAllDayEndDate: () => ParseApiDate(event.resource.end.date), // Get the day after the last day of an all-day event
+        isAllDayEvent: () => !!event.resource.start.date, // Check if the event is an all-day event
+        isRecurringEvent: () => !!(event.resource.recurringEventId || event.resource.recurrence), // Check if the event is part of a series
+        getLastUpdated: () => new Date(event.resource.updated), // Get the time of the last change
+        isOwnedByMe: () => !!(event.resource.organizer && event.resource.organizer.self), // Check if the user organizes the event
+        getEventSeries: () => calendar.getEventSeriesById(event.getId().split('@')[0]), // Get the series of an instance, which has the same iCalendar ID
+        getGuestList: () => attendees().filter(attendee => !attendee.self).map(attendee => ({ getEmail: () => attendee.email, getGuestStatus: () => CalendarApp.GuestStatus[API_GUEST_STATUSES[attendee.responseStatus] || 'INVITED'] })), // Get the guests other than the user
+        getMyStatus: () => { // Get the user's status
+            if (event.resource.organizer && event.resource.organizer.self) return CalendarApp.GuestStatus.OWNER; // The user owns the event
+            const self = attendees().find(attendee => attendee.self); // Find the user among the guests
+            return self ? CalendarApp.GuestStatus[API_GUEST_STATUSES[self.responseStatus] || 'INVITED'] : null; // Return the user's answer
+        },
+        getPopupReminders: () => overrides().filter(reminder => reminder.method == 'popup').map(reminder => reminder.minutes), // Get the popup reminders
+        getEmailReminders: () => overrides().filter(reminder => reminder.method == 'email').map(reminder => reminder.minutes), // Get the email reminders
+        getVisibility: () => CalendarApp.Visibility[(event.resource.visibility || 'default').toUpperCase()], // Get the visibility
+        getTransparency: () => CalendarApp.EventTransparency[(event.resource.transparency || 'opaque').toUpperCase()], // Get whether the event shows as busy or free
+        guestsCanModify: () => event.resource.guestsCanModify === true, // Get whether the guests can modify the event (off by default)
+        guestsCanInviteOthers: () => event.resource.guestsCanInviteOthers !== false, // Get whether the guests can invite other people (on by default)
+        guestsCanSeeGuests: () => event.resource.guestsCanSeeOtherGuests !== false, // Get whether the guests can see the guest list (on by default)
+        setTitle: title => set({ summary: title }), // Set the title
+        setDescription: description => set({ description: description }), // Set the description
+        setLocation: location => set({ location: location }), // Set the location
+        setColor: color => set({ colorId: color }), // Set the color ID
+        setTime: (start, end) => set({ start: { dateTime: start.toISOString(), date: null }, end: { dateTime: end.toISOString(), date: null } }), // Set the start and end time
+        setAllDayDate: date => set({ start: { date: FormatApiDate(date), dateTime: null }, end: { date: FormatApiDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)), dateTime: null } }), // Make the event an all-day event on one day
+        setAllDayDates: (start, end) => set({ start: { date: FormatApiDate(start), dateTime: null }, end: { date: FormatApiDate(end), dateTime: null } }), // Make the event an all-day event over several days
+        setRecurrence: (recurrence, start, end) => { // Set the recurrence and the time of a series
+            if (end) set({ recurrence: recurrence, start: { dateTime: start.toISOString(), timeZone: calendar.getTimeZone(), date: null }, end: { dateTime: end.toISOString(), timeZone: calendar.getTimeZone(), date: null } }); // Set a timed series
+            else set({ recurrence: recurrence, start: { date: FormatApiDate(start), dateTime: null }, end: { date: FormatApiDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1)), dateTime: null } }); // Set an all-day series
+        },
+        addGuest: email => set({ attendees: attendees().concat([{ email: email }]) }), // Add a guest
+        removeGuest: email => set({ attendees: attendees().filter(attendee => attendee.email.toLowerCase() != email.toLowerCase()) }), // Remove a guest
+        inviteGuests: (emails, row) => calendar.queueInvite(event, emails, row), // Add guests and email them an invitation once the other changes are made
+        setMyStatus: status => { // Set the user's answer
+            const response = Object.keys(API_GUEST_STATUSES).find(key => API_GUEST_STATUSES[key] == String(status)); // Get the Calendar API status
+            if (response && attendees().some(attendee => attendee.self)) set({ attendees: attendees().map(attendee => attendee.self ? Object.assign({}, attendee, { responseStatus: response }) : attendee) }); // Answer as the user, if the user is a guest
+        },
+        removeAllReminders: () => set({ reminders: { useDefault: false, overrides: [] } }), // Remove the reminders
+        addPopupReminder: minutes => addReminder('popup', minutes), // Add a popup reminder
+        addEmailReminder: minutes => addReminder('email', minutes), // Add an email reminder
+        setVisibility: visibility => set({ visibility: String(visibility).toLowerCase() }), // Set the visibility
+        setTransparency: transparency => set({ transparency: String(transparency).toLowerCase() }), // Set whether the event shows as busy or free
+        setGuestsCanModify: value => set({ guestsCanModify: value }), // Set whether the guests can modify the event
+        setGuestsCanInviteOthers: value => set({ guestsCanInviteOthers: value }), // Set whether the guests can invite other people
+        setGuestsCanSeeGuests: value => set({ guestsCanSeeOtherGuests: value }), // Set whether the guests can see the guest list
+        deleteEvent: () => calendar.queueDelete(event), // Delete the event, or the instance
+        deleteEventSeries: isSeries ? () => calendar.queueDelete(event) : undefined, // Delete the whole series
     });
+}
+
+/**
+ * Lists the events of a calendar with the Calendar API, calling a function with each page of results.
+ * @see https://developers.google.com/calendar/api/v3/reference/events/list
+ */
+function ApiListAll(calendarId, options, onPage) {
+    let pageToken; // The token of the next page
+    do { // Read each page
+        const page = Calendar.Events.list(calendarId, pageToken ? Object.assign({ pageToken: pageToken }, options) : options); // Get the page
+        page.items = page.items || []; // Pages read only for their tokens have no items
+        onPage(page); // Handle the page
+        pageToken = page.nextPageToken; // Go to the next page
+    } while (pageToken);
+}
+
+/**
+ * Gets the REST URL of an event of the Calendar API.
+ */
+function ApiEventUrl(calendarId, eventId) {
+    return 'https://www.googleapis.com/calendar/v3/calendars/' + encodeURIComponent(calendarId) + '/events/' + encodeURIComponent(eventId); // Build the URL of the event
+}
+
+/**
+ * Gets the error message of a failed Calendar API response.
+ * @see https://developers.google.com/apps-script/reference/url-fetch/http-response
+ */
+function ApiErrorMessage(response) {
+    try { return JSON.parse(response.getContentText()).error.message; } // Read the message of the error
+    catch (e) { return 'The Calendar API returned HTTP ' + response.getResponseCode() + '.'; } // Fall back to the HTTP status
+}
+
+/**
+ * Parses a Calendar API date ("2025-12-31") as midnight in the script's time zone, as CalendarApp returns all-day dates.
+ */
+function ParseApiDate(text) {
+    const parts = String(text).split('-').map(Number); // Split the date into its parts
+    return new Date(parts[0], parts[1] - 1, parts[2]); // Return the date at midnight
+}
+
+/**
+ * Formats a date for the Calendar API ("2025-12-31"), in the script's time zone.
+ */
+function FormatApiDate(date) {
+    const pad = value => String(value).padStart(2, '0'); // Helper to pad the parts to two digits
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()); // Format the date
+}
+
+/****************************************
+            * CALENDARS *
+*****************************************/
+/**
+ * Gets the calendars registered in the spreadsheet. Registered calendars can be bound to sheets and used in the Calendar column.
+ * @return {Object[]} The `id` and `name` of each registered calendar.
+ * @see https://developers.google.com/apps-script/reference/properties/properties-service#getdocumentproperties
+ */
+function GetRegisteredCalendars() {
+    return JSON.parse(PropertiesService.getDocumentProperties().getProperty('CALENDARS') || '[]'); // Read the registered calendars from the document properties
+}
+
+/**
+ * Adds a calendar to the registered calendars, or updates its name if it is already registered.
+ */
+function RegisterCalendar(calendar) {
+    const calendars = GetRegisteredCalendars().filter(cal => cal.id != calendar.getId()); // Get the other registered calendars
+    calendars.push({ id: calendar.getId(), name: calendar.getName() }); // Add the calendar with its current name
+    PropertiesService.getDocumentProperties().setProperty('CALENDARS', JSON.stringify(calendars)); // Save the registered calendars
+}
 
-    var nextDay = new Date(endDate); // Get the end date from the last event in the data
-    nextDay.setDate(nextDay.getDate() + 1); // Increment the end date by one day to ensure the next day's events are included
-    AddEventsToSheet({ start: startDate, end: nextDay }); // Call the function to import calendar events to the sheet with the specified start and end dates
+/**
+ * Gets the ID of the calendar bound to a sheet. Sheets that are not bound fall back to the Calendar ID stored by older versions, if any.
+ */
+function GetSheetCalendarId(sheet) {
+    const bindings = JSON.parse(PropertiesService.getDocumentProperties().getProperty('SHEET_CALENDARS') || '{}'); // Read the calendars bound to the sheets, keyed by sheet ID
+    return bindings[sheet.getSheetId()] || PropertiesService.getUserProperties().getProperty('CALID'); // Return the sheet's calendar, or the one stored by older versions
 }
 
 /**
- * This function retrieves the start and end dates from the events data.
+ * Binds a sheet to a calendar, or removes the sheet's calendar when no ID is given. Sheets are bound by their ID, so renaming a sheet keeps its calendar.
  */
-function GetStartEndDates(events) {
-    const startArray = events.map(ev => ev[2]); // Extract the start timestamps from the events data
-    const minStartTimestamp = Math.min(...startArray); // Get the minimum start timestamp from the startArray
-    const maxEndTimestamp = Math.max(...startArray); // Get the maximum end timestamp from the startArray
-    const startDate = new Date(minStartTimestamp); // Get the start date from the first event in the data
-    const endDate = new Date(maxEndTimestamp); // Get the end date from the last event in the data
-    return [startDate, endDate]; // Return an array containing the start and end dates
+function BindSheetCalendar(sheet, calendarId) {
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    const bindings = JSON.parse(properties.getProperty('SHEET_CALENDARS') || '{}'); // Read the calendars bound to the sheets
+    if (calendarId) bindings[sheet.getSheetId()] = calendarId; // Bind the sheet to the calendar
+    else delete bindings[sheet.getSheetId()]; // Or remove the sheet's calendar
+    properties.setProperty('SHEET_CALENDARS', JSON.stringify(bindings)); // Save the bindings
 }
 
 /**
- * Deletes an event from the calendar by its ID.
+ * Gets a calendar by its ID, keeping it for the rest of the run.
+ * @throws {Error} If the calendar does not exist or the user has no access to it.
  */
-function DeleteEvent(id) {
+function GetCalendar(calendarId) {
     const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
-    const calendar = CalendarApp.getCalendarById(settings.calendarId); // Get the calendar by its ID
-    calendar.getEventById(id).deleteEvent(); // Delete the event from the calendar
+    if (!settings.calendars[calendarId]) { // If the calendar has not been used in this run yet
+        const calendar = GetBackend().getCalendar(calendarId); // Get the calendar by its ID from the sync backend
+        if (!calendar) throw new Error('The calendar "' + calendarId + '" could not be found or you have no access to it.'); // Fail if the calendar is not available
+        settings.calendars[calendarId] = calendar; // Keep the calendar for the rest of the run
+    }
+    return settings.calendars[calendarId]; // Return the calendar
 }
 
 /**
- * Updates an existing event in the calendar or creates a new one if it doesn't exist.
+ * Gets the calendar ID for a value of the Calendar column: the name or ID of a registered calendar, any other calendar ID, or empty for the sheet's own calendar.
+ * @throws {Error} If the value is neither a registered calendar nor a calendar ID.
  */
-function UpdateEvent(isAllDay, eventID, eventTitle, startTime, endTime, description, color, guests, myStatus, location, sendInvites) {
-    try { // Try to update the event in the calendar
-        const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
-        const calendar = CalendarApp.getCalendarById(settings.calendarId); // Get the calendar by its ID
-        var event = calendar.getEventById(eventID); // Get the event by its ID from the calendar
-        if (event) { // If the event exists in the calendar
-            if (event.getTitle() !== eventTitle) event.setTitle(eventTitle); // Update the event title if it has changed
+function ResolveCalendarId(value) {
+    const text = value == undefined ? '' : String(value).trim(); // Get the value as text
+    if (text == '') return GetSettings().calendarId; // Use the sheet's calendar if the column is empty or absent
+    const registered = GetRegisteredCalendars().find(cal => cal.id == text || cal.name.toLowerCase() == text.toLowerCase()); // Find a registered calendar by ID or name
+    if (registered) return registered.id; // Return the ID of the registered calendar
+    if (text.includes('@')) return text; // Accept anything that looks like a calendar ID
+    throw new Error('Unknown calendar "' + text + '". Use the name or ID of a registered calendar.'); // Fail for unknown names
+}
 
-            if (isAllDay) { // If the event is an all-day event
-                if (startTime < endTime && startTime.getDate() < endTime.getDate()) { // If the start time is before the end time and they are on different days
-                    event.setAllDayDates(startTime, endTime); // Set the all-day dates for the event
-                } 
-                else { // If the start time is after the end time or they are on the same day
-                    event.setAllDayDate(startTime); // Set the all-day date for the event
-                }
-            } else { // If the event is not an all-day event
-                if (startTime < endTime) { // If the start time is before the end time
-                    event.setTime(startTime, endTime); // Set the start and end time for the event
-                }
-                else { // If the start time is after the end time
-                    var nextDay = new Date(startTime); // Create a new date object for the next day
-                    nextDay.setDate(nextDay.getDate() + 1); // Increment the next day by one day
-                    event.setTime(startTime, nextDay); // Set the start time and the next day as the end time for the event
-                }
-            }
+/**
+ * Gets the text written to the Calendar column for a calendar: empty for the sheet's own calendar, otherwise the registered name or the calendar ID.
+ */
+function CalendarLabel(calendarId) {
+    if (!calendarId || calendarId == GetSettings().calendarId) return ''; // Leave the column empty for the sheet's own calendar
+    const registered = GetRegisteredCalendars().find(cal => cal.id == calendarId); // Find the calendar among the registered calendars
+    return registered ? registered.name : calendarId; // Return the registered name, or the ID
+}
+
+/**
+ * Gets the IDs of the calendars a sheet imports from: the sheet's own calendar and, when the sheet has a Calendar column, every registered calendar.
+ */
+function GetSheetCalendarIds() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const ids = [settings.calendarId]; // Start with the sheet's own calendar
+    if (settings.columns.index.calendar != undefined) { // If the sheet routes events to other calendars
+        GetRegisteredCalendars().forEach(cal => { if (!ids.includes(cal.id)) ids.push(cal.id); }); // Add each registered calendar once
+    }
+    return ids; // Return the calendar IDs
+}
 
-            if (event.getDescription() !== description) event.setDescription(description); // Update the event description if it has changed
-            if (event.getColor() !== Math.trunc(color)) event.setColor(Math.trunc(color)); // Update the event color if it has changed
+/**
+ * Gets the events within a date range from each calendar of the sheet, in order of start time. Events that appear in several calendars are only listed once.
+ * @return {Object[]} The `calendarEvent` and the `calendarId` it was read from, for each event.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar#getevents(Date,Date)
+ */
+function GetCalendarEvents(startDate, endDate) {
+    const events = []; // Initialize the list of events
+    const ids = []; // Initialize the list of event IDs already listed
+    GetSheetCalendarIds().forEach(calendarId => { // Handle each calendar of the sheet in turn
+        GetCalendar(calendarId).getEvents(startDate, endDate).forEach(calendarEvent => { // Iterate through each event of the calendar
+            const id = calendarEvent.getId(); // Get the ID of the event
+            if (ids.includes(id)) return; // Skip events already listed from another calendar
+            ids.push(id); // Remember the event
+            events.push({ calendarEvent: calendarEvent, calendarId: calendarId }); // Add the event with its calendar
+        });
+    });
+    return events.sort((a, b) => a.calendarEvent.getStartTime() - b.calendarEvent.getStartTime()); // Return the events in order of start time
+}
 
-            if (guests.length > 0 && guests[0] !== '') { // If there are guests to add to the event
-                var calGuestList = event.getGuestList(); // Get the list of guests already invited to the event
-                guests.forEach(guest => { // Iterate through each guest in the guests array
-                    if (!calGuestList.some(value => value.getEmail() == guest.replace(/\([^)]*\)/, "").trim())) { // If the guest is not already in the calendar guest list
-                        event.addGuest(guest.replace(/\([^)]*\)/, "").trim()); // Add the guest to the event
-                    }
-                });
-                calGuestList.forEach(guest => { // Iterate through each guest in the calendar guest list
-                    if (!guests.some(value => value.replace(/\([^)]*\)/, "").trim() == guest.getEmail())) { // If the guest is not in the guests array
-                        event.removeGuest(guest.getEmail()); // Remove the guest from the event
-                    }
-                });
-            }
+/**
+ * Gets the events within a date range that changed in the calendars of the sheet since the last sync, like GetCalendarEvents.
+ * @return {Object[]} The `calendarEvent` and its `calendarId` for each changed event, or null if the backend does not know the changes of every calendar.
+ */
+function GetChangedCalendarEvents(startDate, endDate) {
+    const calendarIds = GetSheetCalendarIds(); // Get the calendars of the sheet
+    const changes = calendarIds.map(calendarId => GetCalendarChanges(calendarId)); // Get the changes of each calendar
+    if (changes.includes(null)) return null; // The changes of a calendar are not known
+    const events = []; // Initialize the list of events
+    const ids = []; // Initialize the list of event IDs already listed
+    changes.forEach((change, i) => change.events.forEach(calendarEvent => { // Iterate through each changed event of each calendar
+        const id = calendarEvent.getId(); // Get the ID of the event
+        if (ids.includes(id) || calendarEvent.getEndTime() < startDate || calendarEvent.getStartTime() > endDate) return; // Skip events already listed and events outside the date range
+        ids.push(id); // Remember the event
+        events.push({ calendarEvent: calendarEvent, calendarId: calendarIds[i] }); // Add the event with its calendar
+    }));
+    return events.sort((a, b) => a.calendarEvent.getStartTime() - b.calendarEvent.getStartTime()); // Return the events in order of start time
+}
 
-            if (event.getMyStatus() !== myStatus) event.setMyStatus(myStatus); // Update the user's status for the event if it has changed
-            if (event.getLocation() !== location) event.setLocation(location); // Update the event location if it has changed
-            if (sendInvites) event.sendInvites = sendInvites; // Set the send invites option for the event
-            isAllDay = isAllDay; // Ensure the isAllDay variable is set correctly
-            return; // Exit the function after updating the event
-        }
-        CreateEvent(isAllDay, eventTitle, startTime, endTime, description, color, guests, location, sendInvites); // If the event does not exist, create a new event with the provided details
+/**
+ * Looks for the event of a row in the other calendars of the sheet, e.g. after the row's Calendar column was changed.
+ * @return {Object} The `calendarEvent` and its `calendarId`, with the whole series in `target` for series rows, or null if the event is not in another calendar.
+ */
+function FindEventInOtherCalendars(event) {
+    if (GetSettings().columns.index.calendar == undefined) return null; // Only sheets with a Calendar column route events to other calendars
+    for (const calendarId of GetSheetCalendarIds().filter(id => id != event.calendarId)) { // Check each other calendar of the sheet
+        const found = FindRowEvent(GetCalendar(calendarId), event); // Look for the event in the calendar, as the row finds it
+        if (found) return { calendarEvent: found.calendarEvent, target: event.recurrence ? found.target : null, calendarId: calendarId }; // Return the event if it was found, with the series a series row stands for
     }
-    catch (e) { // Catch any errors that occur during the process
-        Logger.log('CATCH: ' + e); // Log the error message
-        return false; // Return false to indicate that the event could not be updated or created
+    return null; // The event is not in another calendar
+}
+
+/**
+ * This function displays a prompt dialog to the user to register a calendar, so that it can be used in the Calendar column of any sheet.
+ * @see https://developers.google.com/apps-script/reference/spreadsheet/ui#prompt(prompt,initialvalue,buttonset)
+ */
+function ShowRegisterCalendar() {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const result = ui.prompt('Register Calendar', 'Registered calendars:\n' + ListRegisteredCalendars() + '\n\nPlease enter the id of the calendar you want to register.', ui.ButtonSet.OK_CANCEL); // Ask the user for the calendar ID
+    const calId = result.getResponseText().trim(); // Get the calendar ID entered by the user
+    if (result.getSelectedButton() != ui.Button.OK || calId == '') return; // Stop here if the user cancelled
+    const calendar = CalendarApp.getCalendarById(calId); // Get the calendar by its ID
+    if (!calendar) { // If the calendar does not exist or the user has no access to it
+        DisplayError('The calendar "' + EscapeHtml(calId) + '" could not be found. Please check the ID and that you have access to the calendar.'); // Display an error message
+        return;
     }
+    RegisterCalendar(calendar); // Add the calendar to the registered calendars
 }
 
 /**
- * Creates a new event in the calendar.
+ * This function displays a prompt dialog to the user to remove a calendar from the registered calendars. Sheets bound to the calendar keep their binding.
+ */
+function ShowUnregisterCalendar() {
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const result = ui.prompt('Unregister Calendar', 'Registered calendars:\n' + ListRegisteredCalendars() + '\n\nPlease enter the name or id of the calendar you want to remove.', ui.ButtonSet.OK_CANCEL); // Ask the user for the calendar
+    const text = result.getResponseText().trim().toLowerCase(); // Get the name or ID entered by the user
+    if (result.getSelectedButton() != ui.Button.OK || text == '') return; // Stop here if the user cancelled
+    const calendars = GetRegisteredCalendars().filter(cal => cal.id.toLowerCase() != text && cal.name.toLowerCase() != text); // Remove the matching calendar
+    PropertiesService.getDocumentProperties().setProperty('CALENDARS', JSON.stringify(calendars)); // Save the registered calendars
+}
+
+/**
+ * Lists the registered calendars as text, one per line.
+ */
+function ListRegisteredCalendars() {
+    const calendars = GetRegisteredCalendars(); // Get the registered calendars
+    return calendars.length > 0 ? calendars.map(cal => `${cal.name} (${cal.id})`).join('\n') : '(none)'; // Return the name and ID of each calendar
+}
+
+/****************************************
+            * TIME ZONES *
+*****************************************/
+/*
+ * Date cells hold an exact time, which the spreadsheet shows as a clock time in its own time zone. The times of a sheet are read as clock times in the sheet's
+ * time zone (the spreadsheet's unless set under Settings > Time Zone), or in the zone of the row's Time Zone column, and converted to exact times for the calendar.
+ * All-day events have no time: their dates are read as shown in the sheet, and handled as midnight in the script's time zone, which is how CalendarApp takes them.
+ */
+const DEFAULT_DATE_FORMAT = 'dd/mm/YYYY HH:mm:ss'; // The number format of the date columns, unless the sheet has its own
+
+/**
+ * Gets the time zone settings of a sheet, keyed by the sheet ID like the sheet's calendar.
+ * @return {Object} The `timeZone` the sheet's times are read in and the `dateFormat` of its date columns, empty for the defaults.
+ */
+function GetSheetTimeZoneSettings(sheet) {
+    const saved = JSON.parse(PropertiesService.getDocumentProperties().getProperty('SHEET_TIME_ZONES') || '{}'); // Read the time zone settings of the sheets
+    return Object.assign({ timeZone: '', dateFormat: '' }, saved[sheet.getSheetId()]); // Return the settings of the sheet, or the defaults
+}
+
+/**
+ * Displays the time zone settings of the active sheet, with the time zones of the spreadsheet, the script and the calendar.
+ */
+function ShowTimeZoneSettings() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const template = HtmlService.createTemplateFromFile('timeZoneSettings'); // Create an HTML template from the file 'timeZoneSettings'
+    template.current = GetSheetTimeZoneSettings(settings.sheet); // Pass the current settings of the sheet to the template
+    template.zones = { spreadsheet: settings.spreadSheetTimeZone, script: settings.scriptTimeZone, calendar: settings.defaultTimeZone || '' }; // Pass the time zones in use to the template
+    template.defaultDateFormat = DEFAULT_DATE_FORMAT; // Pass the default date format to the template
+    template.sheetName = settings.sheet.getName(); // Pass the name of the sheet to the template
+    SpreadsheetApp.getUi().showModalDialog(template.evaluate().setWidth(420).setHeight(330), 'Time Zone'); // Show the dialog with the title 'Time Zone'
+}
+
+/**
+ * Saves the time zone settings of the active sheet. When the time zone changes, the times already in the sheet can be converted, so that the events they stand for do not move.
+ * @param {Object} form - The `timeZone` (an IANA name, empty for the spreadsheet's), the `dateFormat` (empty for the default) and whether to `convert` the times in the sheet.
+ * @throws {Error} If the time zone is not known.
  */
-function CreateEvent(isAllDay, eventTitle, startTime, endTime, description, color, guests, location, sendInvites) {
+function SaveTimeZoneSettings(form) {
     const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
-    const calendar = CalendarApp.getCalendarById(settings.calendarId); // Get the calendar by its ID
-    var nextDay = new Date(startTime); // Create a new date object for the next day
-    nextDay.setDate(nextDay.getDate() + 1); // Increment the next day by one day
+    const timeZone = String(form.timeZone || '').trim(); // Get the time zone entered by the user
+    const dateFormat = String(form.dateFormat || '').trim(); // Get the date format entered by the user
+    if (timeZone != '' && !IsTimeZone(timeZone)) throw new Error(`Unknown time zone "${timeZone}". Use an IANA name such as Europe/Paris.`); // Reject unknown time zones
+    const newTimeZone = timeZone || settings.spreadSheetTimeZone; // Get the time zone the sheet's times will be read in
+    if (form.convert && newTimeZone != settings.timeZone) ConvertSheetTimes(settings.timeZone, newTimeZone); // Keep the events where they are
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    const saved = JSON.parse(properties.getProperty('SHEET_TIME_ZONES') || '{}'); // Read the time zone settings of the sheets
+    saved[settings.sheet.getSheetId()] = { timeZone: timeZone, dateFormat: dateFormat }; // Replace the settings of the sheet
+    properties.setProperty('SHEET_TIME_ZONES', JSON.stringify(saved)); // Save the settings
+    settings.timeZone = newTimeZone; // Use the new time zone for the rest of the run
+    settings.dateFormat = dateFormat || DEFAULT_DATE_FORMAT; // Use the new date format for the rest of the run
+    const lastRow = settings.sheet.getLastRow(); // Get the last row that contains data
+    if (lastRow > 1) ['start', 'end', 'lastSynced'].filter(key => settings.columns.index[key] != undefined).forEach(key => settings.sheet.getRange(2, settings.columns.index[key] + 1, lastRow - 1, 1).setNumberFormat(settings.dateFormat)); // Format the date columns with the new format
+}
 
-    var endDate = startTime < endTime ? endTime : nextDay; // Set the end date to the end time if it is after the start time, otherwise set it to the next day
+/**
+ * Rewrites the start and end times of the timed rows that have no time zone of their own, so that they show the same exact times in a new time zone.
+ */
+function ConvertSheetTimes(oldTimeZone, newTimeZone) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const lastRow = settings.sheet.getLastRow(); // Get the last row that contains data
+    if (lastRow < 2) return; // Nothing to convert if the sheet has no rows
+    ['start', 'end'].forEach(key => { // Convert the start and end columns
+        const range = settings.sheet.getRange(2, settings.columns.index[key] + 1, lastRow - 1, 1); // Get the range of the column below the header
+        const values = range.getValues(); // Get the times of the column
+        settings.events.forEach(row => { // Iterate through each row
+            const value = values[row.row - 2][0]; // Get the time of the row
+            if (value instanceof Date && !ToBoolean(row.allDay) && String(row.timeZone || '').trim() == '') values[row.row - 2][0] = DateToCell(CellToDate(value, oldTimeZone), newTimeZone); // Show the same exact time in the new time zone
+        });
+        range.setValues(values); // Write the column back to the sheet
+    });
+}
 
-    let options = { // Options for the event
-        description: description, // Set the event description
-        location: location, // Set the event location
-        guests: guests.join(','), // Set the event guests as a comma-separated string
-        sendInvites: sendInvites // Set whether to send invites for the event
-    };
+/**
+ * Warns the user when the sheet, the script and the sheet's calendar use different time zones. Times are converted, so events keep their exact time, but they show at a different clock time in the calendar than in the sheet.
+ * The warning is not shown again for the same time zones once the user has chosen to continue.
+ * @return {boolean} Whether to go on; false if the user cancelled.
+ * @see https://developers.google.com/apps-script/reference/base/session#getscripttimezone
+ */
+function CheckTimeZones() {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const zones = [settings.timeZone, settings.scriptTimeZone, settings.defaultTimeZone || settings.timeZone]; // Get the time zones of the sheet, the script and the calendar
+    if (zones.every(zone => zone == zones[0])) return true; // Nothing to warn about if they all match
+    const properties = PropertiesService.getDocumentProperties(); // Get the properties of the spreadsheet
+    const property = 'TIME_ZONES_CHECKED:' + settings.sheet.getSheetId() + ':' + settings.calendarId; // Keep the choice of each sheet and calendar apart, since each sheet syncs on its own
+    const key = zones.join('|'); // Identify the time zones
+    if (properties.getProperty(property) == key) return true; // The user already chose to continue with these time zones
+    const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+    const message = `The times of the "${settings.sheet.getName()}" sheet are read in ${zones[0]}, but the script uses ${zones[1]} and the calendar uses ${zones[2]}.\n\nTimes are converted, so each event keeps its exact time, but it will show at a different clock time in the calendar than in the sheet. All-day events keep their dates.\n\nTo change the sheet's time zone use Settings > Time Zone, or add a Time Zone column for single rows. The script's time zone is set under Project Settings in the script editor.\n\nDo you want to continue? You will not be warned again until a time zone changes.`; // Explain the mismatch
+    if (ui.alert('Time zones do not match', message, ui.ButtonSet.OK_CANCEL) != ui.Button.OK) return false; // Stop here if the user cancelled
+    properties.setProperty(property, key); // Do not warn again for these time zones
+    return true;
+}
+
+/**
+ * Gets the time zone the times of a row are read in: its Time Zone column, or the sheet's time zone.
+ */
+function RowTimeZone(row) {
+    const timeZone = row.timeZone == undefined ? '' : String(row.timeZone).trim(); // Get the time zone of the row
+    return timeZone || GetSettings().timeZone; // Return it, or the sheet's time zone
+}
+
+/**
+ * Converts the time of a date cell, read as a clock time in the given time zone, to an exact time.
+ * @param {Date|string} value - The value of the cell, shown in the spreadsheet's time zone.
+ * @param {string} timeZone - The time zone the clock time is in.
+ */
+function CellToDate(value, timeZone) {
+    const date = new Date(value); // Copy the date so the cell value is not modified
+    const spreadSheetTimeZone = GetSettings().spreadSheetTimeZone; // Get the time zone the cell is shown in
+    if (timeZone == spreadSheetTimeZone || isNaN(date.getTime())) return date; // The cell already holds the exact time
+    return ZonedTimeToDate(DateToZonedParts(date, spreadSheetTimeZone), timeZone); // Read the clock time shown in the cell in the given time zone
+}
+
+/**
+ * Converts an exact time to the value of a date cell that shows its clock time in the given time zone. This is the reverse of CellToDate.
+ */
+function DateToCell(date, timeZone) {
+    const spreadSheetTimeZone = GetSettings().spreadSheetTimeZone; // Get the time zone the cell is shown in
+    if (timeZone == spreadSheetTimeZone) return new Date(date); // The exact time shows its clock time already
+    return ZonedTimeToDate(DateToZonedParts(date, timeZone), spreadSheetTimeZone); // Show the clock time of the given time zone
+}
+
+/**
+ * Converts the date shown in a cell to midnight of that date in the script's time zone, as used for all-day events.
+ */
+function CellToDay(value) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    const date = new Date(value); // Copy the date so the cell value is not modified
+    if (isNaN(date.getTime())) return date; // Leave invalid dates as they are
+    const parts = settings.spreadSheetTimeZone == settings.scriptTimeZone ? [date.getFullYear(), date.getMonth(), date.getDate()] : DateToZonedParts(date, settings.spreadSheetTimeZone); // Get the date shown in the cell
+    return new Date(parts[0], parts[1], parts[2]); // Return midnight of that date
+}
+
+/**
+ * Converts midnight of a date in the script's time zone to the value of a date cell that shows that date. This is the reverse of CellToDay.
+ */
+function DayToCell(date) {
+    const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    if (settings.spreadSheetTimeZone == settings.scriptTimeZone) return new Date(date); // The cell shows the same date already
+    return ZonedTimeToDate([date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0], settings.spreadSheetTimeZone); // Show the date at midnight
+}
+
+/**
+ * Gets the start and end of a calendar event: the exact times of a timed event, or midnight of the first day and of the day after the last day in the script's time zone for an all-day event.
+ * @see https://developers.google.com/apps-script/reference/calendar/calendar-event#getalldaystartdate
+ */
+function EventTimes(calendarEvent) {
+    if (calendarEvent.isAllDayEvent()) return { start: calendarEvent.getAllDayStartDate(), end: calendarEvent.getAllDayEndDate() }; // getStartTime would give midnight in the calendar's time zone
+    return { start: calendarEvent.getStartTime(), end: calendarEvent.getEndTime() }; // Return the exact times
+}
+
+/**
+ * Gets the clock time of a date in an IANA time zone, including daylight saving time.
+ * @return {number[]} The year, month (0-11), day, hours, minutes and seconds, as taken by ZonedTimeToDate.
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat/formatToParts
+ */
+function DateToZonedParts(date, timeZone) {
+    const values = {}; // Initialize the parts of the formatted date
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' }).formatToParts(date).forEach(part => values[part.type] = Number(part.value)); // Read the clock time in the time zone
+    return [values.year, values.month - 1, values.day, values.hour, values.minute, values.second]; // Return the parts
+}
 
-    let event; // Initialize the event variable
-    if (isAllDay) { // If the event is an all-day event
-        event = calendar.createAllDayEvent(eventTitle, startTime, endDate, options); // Create an all-day event in the calendar
+/**
+ * Checks that a text is the IANA name of a time zone, e.g. "Europe/Paris".
+ */
+function IsTimeZone(text) {
+    try { // Try to use the time zone
+        new Intl.DateTimeFormat('en-US', { timeZone: text }); // Throws a RangeError for unknown time zones
+        return true;
     }
-    else { // If the event is not an all-day event
-        event = calendar.createEvent(eventTitle, startTime, endDate, options); // Create a regular event in the calendar
+    catch (e) { // If the time zone is not known
+        return false;
     }
-    event.setColor(color); // Set the color of the event
 }
 
 /****************************************
             * SETTINGS *
 *****************************************/
 /**
- * This function displays a prompt dialog to the user to enter their Calendar ID. If the user enters a valid ID, it sets the active sheet's name to that ID and saves it in user properties. If the user cancels or enters an empty ID, it resets the sheet name to 'Calendar Sync Template' and deletes the stored Calendar ID.
+ * This function displays a prompt dialog to the user to enter the Calendar ID of the active sheet. If the user enters a valid ID, it sets the active sheet's name to that ID, registers the calendar and binds the sheet to it. If the user enters an empty ID, it resets the sheet name to 'Calendar Sync Template' and removes the sheet's calendar.
+ * Each sheet of the spreadsheet can be bound to its own calendar.
  * @see https://developers.google.com/apps-script/reference/spreadsheet/ui#prompt(prompt,initialvalue,buttonset)
  * @see https://developers.google.com/apps-script/reference/properties/properties-service#setproperty(key,value)
  * @see https://developers.google.com/apps-script/reference/properties/properties-service#deleteproperty(key)
@@ -315,19 +3390,38 @@ function ShowAddCalendarId() {
     var button = result.getSelectedButton(); // Get the button that the user clicked
     var calId = result.getResponseText(); // Get the text entered by the user in the prompt dialog
     if (button == sheetsUI.Button.OK) { // If the user clicked OK
+        calId = calId.trim(); // Remove any spaces around the Calendar ID
         if (calId != "") { // If the user entered a Calendar ID
-            SpreadsheetApp.getActiveSheet().setName(calId); // Set the active sheet's name to the Calendar ID
-            PropertiesService.getUserProperties().setProperty('CALID', calId); // Save the Calendar ID in user properties
+            const calendar = CalendarApp.getCalendarById(calId); // Get the calendar by its ID
+            if (!calendar) { // If the calendar does not exist or the user has no access to it
+                DisplayError('The calendar "' + EscapeHtml(calId) + '" could not be found. Please check the ID and that you have access to the calendar.'); // Display an error message
+                return;
+            }
+            RenameSheet(SpreadsheetApp.getActiveSheet(), calId); // Set the active sheet's name to the Calendar ID
+            RegisterCalendar(calendar); // Add the calendar to the registered calendars
+            BindSheetCalendar(SpreadsheetApp.getActiveSheet(), calId); // Bind the active sheet to the calendar
             const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
-            SpreadsheetApp.getActive().setSpreadsheetTimeZone(settings.defaultTimeZone); // Set the spreadsheet's time zone to the default time zone of the calendar
+            const timeZone = calendar.getTimeZone(); // Get the default time zone of the calendar
+            if (timeZone != settings.timeZone && sheetsUI.alert('Time Zone', `The calendar uses the ${timeZone} time zone, but the times of this sheet are read in ${settings.timeZone}.\n\nDo you want to read the sheet's times in ${timeZone} instead? The times already in the sheet are converted, so their events do not move. The other sheets of the spreadsheet are not changed.`, sheetsUI.ButtonSet.YES_NO) == sheetsUI.Button.YES) { // If the user wants the sheet to use the calendar's time zone
+                SaveTimeZoneSettings({ timeZone: timeZone, dateFormat: GetSheetTimeZoneSettings(settings.sheet).dateFormat, convert: true }); // Read the sheet's times in the calendar's time zone
+            }
         }
         else { // If the user entered an empty Calendar ID
-            SpreadsheetApp.getActiveSheet().setName('Calendar Sync Template'); // Reset the active sheet's name to 'Calendar Sync Template'
-            PropertiesService.getUserProperties().deleteProperty('CALID'); // Delete the stored Calendar ID from user properties
+            RenameSheet(SpreadsheetApp.getActiveSheet(), 'Calendar Sync Template'); // Reset the active sheet's name to 'Calendar Sync Template'
+            BindSheetCalendar(SpreadsheetApp.getActiveSheet(), null); // Remove the sheet's calendar
+            PropertiesService.getUserProperties().deleteProperty('CALID'); // Delete the Calendar ID stored by older versions from user properties
         }
     }
 }
 
+/**
+ * Renames a sheet, unless another sheet of the spreadsheet already has that name.
+ */
+function RenameSheet(sheet, name) {
+    const other = sheet.getParent().getSheetByName(name); // Get the sheet that already has the name, if any
+    if (!other || other.getSheetId() == sheet.getSheetId()) sheet.setName(name); // Rename the sheet if the name is free
+}
+
 /**
  * Clears the content of the active sheet starting from row 2, column 1 to the last row and last column. This function is typically used to reset the sheet before importing new events or data.
  */
@@ -371,17 +3465,79 @@ function CalendarIdExists() {
     return true; // Return true to indicate that the calendar ID exists
 }
 
+/**
+ * Checks that the active sheet has every required header of the column schema. Missing headers are reported as an error; unknown headers are listed and the user can choose to continue, in which case those columns are ignored.
+ * @param {boolean} ignoreUnknown - Skip the prompt about unknown headers, e.g. when the user has already been asked during this run.
+ * @see https://developers.google.com/apps-script/reference/base/ui#alert(String,String,ButtonSet)
+ */
+function ColumnsAreValid(ignoreUnknown) {
+    const columns = GetSettings().columns; // Get the column map of the active sheet
+    if (columns.missing.length > 0) { // Check if any required header is missing
+        DisplayError('The sheet is missing the following required columns in row 1: ' + columns.missing.join(', ')); // Display an error message listing the missing headers
+        return false; // Return false to indicate that the headers are not valid
+    }
+    if (columns.unknown.length > 0 && !ignoreUnknown) { // Check if the sheet has headers that are not part of the schema
+        const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
+        const response = ui.alert('Unknown columns', 'The following columns are not recognised and will be ignored: ' + columns.unknown.join(', ') + '\n\nDo you want to continue?', ui.ButtonSet.OK_CANCEL); // Ask the user whether to continue without those columns
+        return response == ui.Button.OK; // Return true only if the user chose to continue
+    }
+    return true; // Return true to indicate that the headers are valid
+}
+
+/**
+ * Converts a cell value to a boolean, accepting checkboxes as well as text such as "TRUE", "yes" or "1".
+ */
+function ToBoolean(value) {
+    if (typeof value == 'boolean') return value; // Return checkbox values as they are
+    return ['true', 'yes', 'y', '1', 'x'].includes(String(value).trim().toLowerCase()); // Treat the common truthy strings as true
+}
+
+/**
+ * Converts a cell value to a boolean like ToBoolean, but returns null for an empty cell so that the calendar's value is kept.
+ */
+function ToOptionalBoolean(value) {
+    if (value == undefined || value === '') return null; // Keep the calendar's value for empty cells
+    return ToBoolean(value); // Convert the value to a boolean
+}
+
 /**
  * Displays an error message in a modal dialog.
  */
 function DisplayError(e) {
     const settings = GetSettings(); // Get the settings for the Google Sheets Calendar Synchronizer
+    if (settings.unattended) { // If the run was started by a trigger there is no dialog to show
+        Logger.log(ErrorMessage(e)); // Log the error message to the execution log instead
+        return;
+    }
     var htmlOutput = HtmlService.createHtmlOutput(`<p style="font-family: 'Poppins';">` + e + '</p>').setWidth(settings.dialogWidth).setHeight(settings.dialogHeight); // Create an HTML output with the error message and set its width and height
     const ui = SpreadsheetApp.getUi(); // Get the user interface of the spreadsheet
     ui.showModalDialog(htmlOutput, 'An error has occured!'); // Show the dialog with the error message
     return; // Exit the function after displaying the error message
 }
 
+/**
+ * Gets a readable message from an error, or from any value that was thrown.
+ */
+function ErrorMessage(e) {
+    return e && e.message ? e.message : String(e); // Return the error message, or the value itself as a string
+}
+
+/**
+ * Escapes text so it can be safely inserted into the HTML of a dialog.
+ */
+function EscapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;'); // Replace the characters that have a meaning in HTML
+}
+
+/**
+ * Selects a row of a sheet, e.g. from a link in the sync summary dialog.
+ */
+function GoToRow(sheetName, row) {
+    const sheet = SpreadsheetApp.getActive().getSheetByName(sheetName); // Get the sheet by its name
+    sheet.activate(); // Show the sheet to the user
+    sheet.setActiveRange(sheet.getRange(row, 1, 1, sheet.getLastColumn())); // Select the row
+}
+
 /**
  * Includes an HTML file and returns its content as a string.
  */
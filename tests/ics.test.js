@@ -0,0 +1,62 @@
+/**
+ * Round-trip test of the ICS import and export. The ICS functions of main.js only use plain JavaScript (no CalendarApp, Session or Utilities), so main.js is loaded into an empty context with nothing but Intl.
+ * Run it with `node --test tests/` (Node 18 or later).
+ */
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const context = vm.createContext({ Intl: Intl }); // Leave out every Apps Script service, so that a call to one of them fails the test
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'main.js'), 'utf8'), context); // Load the script's functions into the context
+const { ParseIcs, SerializeIcs } = vm.runInContext('({ ParseIcs, SerializeIcs })', context); // Get the functions under test
+
+const SAMPLE = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:meeting@example.com',
+    'DTSTART;TZID=Europe/Paris:20260105T090000',
+    'DTEND;TZID=Europe/Paris:20260105T103000',
+    'SUMMARY:Planning\\, budget\\; and hiring',
+    'DESCRIPTION:A description that is long enough to be folded over more than',
+    '  one line\\nwith a line break.',
+    'LOCATION:Room 1\\, second floor',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+    'ATTENDEE;CN="Doe, Jane";PARTSTAT=ACCEPTED:mailto:jane@example.com',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:holiday@example.com',
+    'DTSTART;VALUE=DATE:20261224',
+    'DTEND;VALUE=DATE:20261226',
+    'SUMMARY:Holidays',
+    'END:VEVENT',
+    'END:VCALENDAR',
+].join('\r\n'); // A timed event with a time zone, folded lines and escaped text, and an all-day event
+
+test('parses folded lines, escaped text, TZID times and all-day dates', () => {
+    const [meeting, holiday] = ParseIcs(SAMPLE);
+    assert.strictEqual(meeting.title, 'Planning, budget; and hiring');
+    assert.strictEqual(meeting.description, 'A description that is long enough to be folded over more than one line\nwith a line break.');
+    assert.strictEqual(meeting.location, 'Room 1, second floor');
+    assert.strictEqual(meeting.start.toISOString(), '2026-01-05T08:00:00.000Z'); // 09:00 in Paris is 08:00 UTC in winter
+    assert.strictEqual(meeting.end.toISOString(), '2026-01-05T09:30:00.000Z');
+    assert.strictEqual(meeting.allDay, false);
+    assert.strictEqual(meeting.recurrence, 'FREQ=WEEKLY;BYDAY=MO;COUNT=4');
+    assert.deepStrictEqual([...meeting.guests], ['jane@example.com (yes)']);
+    assert.strictEqual(holiday.allDay, true);
+    assert.deepStrictEqual([holiday.start.getFullYear(), holiday.start.getMonth(), holiday.start.getDate()], [2026, 11, 24]); // All-day dates are local dates
+    assert.deepStrictEqual([holiday.end.getFullYear(), holiday.end.getMonth(), holiday.end.getDate()], [2026, 11, 26]);
+});
+
+test('serializes the parsed events back to the same events', () => {
+    const events = ParseIcs(SAMPLE).map((event, i) => Object.assign({}, event, { id: '', row: i + 2, guests: event.guests.map(guest => guest.replace(/ \(.*\)$/, '')) })); // Export the events as rows never synced, with plain guest emails as the sheet has them
+    const text = SerializeIcs(events, new Date(Date.UTC(2026, 0, 1)));
+    assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)); // Every line is folded at 75 octets
+    assert.ok(text.includes('SUMMARY:Planning\\, budget\\; and hiring')); // The separators are escaped
+    assert.ok(text.includes('DTSTART;VALUE=DATE:20261224')); // All-day events keep their dates
+    assert.ok(text.includes('DTSTART:20260105T080000Z')); // Times are written in UTC
+    const fields = event => JSON.stringify([event.title, event.description, event.location, event.start, event.end, event.allDay, event.recurrence]);
+    assert.deepStrictEqual(ParseIcs(text).map(fields), ParseIcs(SAMPLE).map(fields));
+});